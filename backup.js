@@ -0,0 +1,245 @@
+// Backup export, import and merging
+// Profiles are matched by id and their records merged day by day using the
+// date keys from getTodayKey(). When both copies changed a day, the one changed
+// most recently wins; days without change times (from older versions) are
+// combined, with a prayer marked as prayed in either copy counting as prayed.
+
+import { now } from './env.js';
+import { t } from './i18n.js';
+import { addQadaDebt, cancelQadaDebt, mergeQadaLedgers } from './qada.js';
+import {
+    createEmptyData, createProfile, getStoredData, getStoredValue, migrateData, replaceStoredData, SCHEMA_VERSION
+} from './storage.js';
+import { renderSyncSettings } from './sync.js';
+import { downloadFile, formatIsoDate } from './timetable.js';
+import { getLocationDate } from './timezone.js';
+
+// Profile keys holding tracking data, which are merged and synced
+export const TRACKING_KEYS = ['completedPrayers', 'missedPrayers', 'voluntaryPrayers', 'dayUpdatedAt', 'qadaLedger', 'fasting'];
+
+// Device keys holding preferences, which an imported backup restores
+const PREFERENCE_KEYS = ['reminders', 'forbidden', 'location', 'masjid'];
+
+// Merge the profiles of two documents at the current schema version
+// A profile deleted in either copy stays deleted
+export function mergeProfiles(local, remote) {
+    const removedProfiles = [...new Set([...local.removedProfiles, ...remote.removedProfiles])];
+    const profiles = {};
+
+    [...Object.keys(local.profiles), ...Object.keys(remote.profiles)].forEach(id => {
+        if (profiles[id] || removedProfiles.includes(id)) {
+            return;
+        }
+        const mine = local.profiles[id];
+        const theirs = remote.profiles[id];
+        profiles[id] = mine && theirs ?
+            mergeTrackingData(mine, theirs) :
+            { ...createProfile(), ...JSON.parse(JSON.stringify(mine || theirs)) };
+    });
+
+    // Never end up without a profile to show
+    if (Object.keys(profiles).length === 0) {
+        return local;
+    }
+
+    return {
+        ...local,
+        profiles,
+        removedProfiles,
+        activeProfile: profiles[local.activeProfile] ? local.activeProfile : Object.keys(profiles)[0]
+    };
+}
+
+// Merge the tracking data of two copies of a profile
+// The name renamed most recently wins, like a day's records
+function mergeTrackingData(local, remote) {
+    const localNameTime = local.nameUpdatedAt || 0;
+    const remoteNameTime = remote.nameUpdatedAt || 0;
+    const merged = {
+        ...local,
+        name: remoteNameTime > localNameTime ? remote.name : local.name,
+        nameUpdatedAt: localNameTime || remoteNameTime ? Math.max(localNameTime, remoteNameTime) : null,
+        completedPrayers: {},
+        missedPrayers: {},
+        voluntaryPrayers: {},
+        dayUpdatedAt: {},
+        fasting: {
+            days: {},
+            madeUp: Math.max(local.fasting.madeUp, remote.fasting.madeUp),
+            taraweeh: {}
+        }
+    };
+
+    getDayKeys(local, remote).forEach(dateKey => {
+        const localTime = local.dayUpdatedAt[dateKey] || 0;
+        const remoteTime = remote.dayUpdatedAt[dateKey] || 0;
+
+        if (localTime !== remoteTime) {
+            copyDay(localTime > remoteTime ? local : remote, merged, dateKey);
+        } else {
+            combineDay(local, remote, merged, dateKey);
+        }
+
+        if (localTime || remoteTime) {
+            merged.dayUpdatedAt[dateKey] = Math.max(localTime, remoteTime);
+        }
+    });
+
+    merged.qadaLedger = mergeQadaLedgers(local.qadaLedger, remote.qadaLedger);
+    reconcileQadaLedger(merged);
+
+    return merged;
+}
+
+// Every date key with records in either document
+function getDayKeys(...documents) {
+    const keys = new Set();
+    documents.forEach(data => {
+        [
+            data.completedPrayers,
+            data.missedPrayers,
+            data.voluntaryPrayers,
+            data.dayUpdatedAt,
+            data.fasting.days,
+            data.fasting.taraweeh
+        ].forEach(records => Object.keys(records).forEach(key => keys.add(key)));
+    });
+    return keys;
+}
+
+// Take one document's version of a day
+function copyDay(source, target, dateKey) {
+    ['completedPrayers', 'missedPrayers', 'voluntaryPrayers'].forEach(key => {
+        if (source[key][dateKey]) {
+            target[key][dateKey] = JSON.parse(JSON.stringify(source[key][dateKey]));
+        }
+    });
+    if (source.fasting.days[dateKey]) {
+        target.fasting.days[dateKey] = source.fasting.days[dateKey];
+    }
+    if (source.fasting.taraweeh[dateKey]) {
+        target.fasting.taraweeh[dateKey] = true;
+    }
+}
+
+// Combine both documents' versions of a day
+function combineDay(local, remote, target, dateKey) {
+    const completed = { ...remote.completedPrayers[dateKey] };
+    // Keep the record marked last when both have one
+    Object.entries(local.completedPrayers[dateKey] || {}).forEach(([prayer, record]) => {
+        if (!completed[prayer] || (record.at || 0) >= (completed[prayer].at || 0)) {
+            completed[prayer] = record;
+        }
+    });
+
+    const missed = { ...remote.missedPrayers[dateKey], ...local.missedPrayers[dateKey] };
+    Object.keys(completed).forEach(prayer => delete missed[prayer]);
+
+    const voluntary = { ...remote.voluntaryPrayers[dateKey], ...local.voluntaryPrayers[dateKey] };
+
+    [['completedPrayers', completed], ['missedPrayers', missed], ['voluntaryPrayers', voluntary]]
+        .forEach(([key, records]) => {
+            if (Object.keys(records).length > 0) {
+                target[key][dateKey] = JSON.parse(JSON.stringify(records));
+            }
+        });
+
+    const fast = local.fasting.days[dateKey] || remote.fasting.days[dateKey];
+    if (fast) {
+        target.fasting.days[dateKey] = fast;
+    }
+    if (local.fasting.taraweeh[dateKey] || remote.fasting.taraweeh[dateKey]) {
+        target.fasting.taraweeh[dateKey] = true;
+    }
+}
+
+// Make the ledger agree with the merged records: prayed prayers owe nothing, missed ones do
+function reconcileQadaLedger(data) {
+    Object.keys(data.completedPrayers).forEach(dateKey => {
+        Object.keys(data.completedPrayers[dateKey]).forEach(prayer => {
+            cancelQadaDebt(data.qadaLedger, prayer, dateKey);
+        });
+    });
+    Object.keys(data.missedPrayers).forEach(dateKey => {
+        Object.keys(data.missedPrayers[dateKey]).forEach(prayer => {
+            addQadaDebt(data.qadaLedger, prayer, dateKey);
+        });
+    });
+}
+
+// Everything except the timetable cache and sync credentials
+function createBackup() {
+    const stored = getStoredData();
+    const data = {
+        schemaVersion: SCHEMA_VERSION,
+        activeProfile: stored.activeProfile,
+        profiles: stored.profiles,
+        removedProfiles: stored.removedProfiles
+    };
+    PREFERENCE_KEYS.forEach(key => {
+        data[key] = getStoredValue(key);
+    });
+
+    return {
+        app: 'salat-tracker',
+        exportedAt: now().toISOString(),
+        data
+    };
+}
+
+export function exportBackup() {
+    const date = formatIsoDate(getLocationDate());
+    downloadFile(`salat-tracker-backup-${date}.json`, JSON.stringify(createBackup(), null, 2), 'application/json');
+}
+
+// Merge a backup file into the stored data and restore its preferences
+export async function importBackup(file) {
+    const status = document.getElementById('backupStatus');
+
+    try {
+        const backup = JSON.parse(await file.text());
+        if (backup.app !== 'salat-tracker' || !backup.data) {
+            throw new Error(t('backup.notBackup'));
+        }
+        if ((backup.data.schemaVersion || 0) > SCHEMA_VERSION) {
+            throw new Error(t('backup.newer'));
+        }
+
+        const imported = migrateData({ ...createEmptyData(), schemaVersion: 0, ...backup.data });
+        // Importing a profile deleted on this device brings it back
+        const local = getStoredData();
+        const merged = mergeProfiles({
+            ...local,
+            removedProfiles: local.removedProfiles.filter(id => !imported.profiles[id])
+        }, imported);
+        // The backup's calculation settings replace this device's
+        Object.keys(imported.profiles).forEach(id => {
+            if (merged.profiles[id] && imported.profiles[id].settings) {
+                merged.profiles[id].settings = imported.profiles[id].settings;
+            }
+        });
+        PREFERENCE_KEYS.forEach(key => {
+            if (backup.data[key]) {
+                merged[key] = imported[key];
+            }
+        });
+
+        await replaceStoredData(merged);
+        status.textContent = t('backup.imported');
+        window.location.reload();
+    } catch (error) {
+        console.error('Import failed:', error);
+        status.textContent = t('backup.failed', { error: error.message });
+    }
+}
+
+// Backup panel
+export function openBackup() {
+    renderSyncSettings();
+    document.getElementById('backupStatus').textContent = '';
+    document.getElementById('backupPanel').classList.add('show');
+}
+
+export function closeBackup() {
+    document.getElementById('backupPanel').classList.remove('show');
+}
@@ -0,0 +1,82 @@
+// Bundled city list for offline location search
+export const offlineCities = [
+    { name: 'Dhaka', country: 'Bangladesh', lat: 23.8103, lon: 90.4125, timeZone: 'Asia/Dhaka' },
+    { name: 'Chittagong', country: 'Bangladesh', lat: 22.3569, lon: 91.7832, timeZone: 'Asia/Dhaka' },
+    { name: 'Sylhet', country: 'Bangladesh', lat: 24.8949, lon: 91.8687, timeZone: 'Asia/Dhaka' },
+    { name: 'Rajshahi', country: 'Bangladesh', lat: 24.3745, lon: 88.6042, timeZone: 'Asia/Dhaka' },
+    { name: 'Khulna', country: 'Bangladesh', lat: 22.8456, lon: 89.5403, timeZone: 'Asia/Dhaka' },
+    { name: 'Makkah', country: 'Saudi Arabia', lat: 21.4225, lon: 39.8262, timeZone: 'Asia/Riyadh' },
+    { name: 'Madinah', country: 'Saudi Arabia', lat: 24.4686, lon: 39.6142, timeZone: 'Asia/Riyadh' },
+    { name: 'Riyadh', country: 'Saudi Arabia', lat: 24.7136, lon: 46.6753, timeZone: 'Asia/Riyadh' },
+    { name: 'Jeddah', country: 'Saudi Arabia', lat: 21.4858, lon: 39.1925, timeZone: 'Asia/Riyadh' },
+    { name: 'Dubai', country: 'United Arab Emirates', lat: 25.2048, lon: 55.2708, timeZone: 'Asia/Dubai' },
+    { name: 'Abu Dhabi', country: 'United Arab Emirates', lat: 24.4539, lon: 54.3773, timeZone: 'Asia/Dubai' },
+    { name: 'Doha', country: 'Qatar', lat: 25.2854, lon: 51.5310, timeZone: 'Asia/Qatar' },
+    { name: 'Kuwait City', country: 'Kuwait', lat: 29.3759, lon: 47.9774, timeZone: 'Asia/Kuwait' },
+    { name: 'Manama', country: 'Bahrain', lat: 26.2285, lon: 50.5860, timeZone: 'Asia/Bahrain' },
+    { name: 'Muscat', country: 'Oman', lat: 23.5880, lon: 58.3829, timeZone: 'Asia/Muscat' },
+    { name: 'Amman', country: 'Jordan', lat: 31.9454, lon: 35.9284, timeZone: 'Asia/Amman' },
+    { name: 'Jerusalem', country: 'Palestine', lat: 31.7683, lon: 35.2137, timeZone: 'Asia/Jerusalem' },
+    { name: 'Cairo', country: 'Egypt', lat: 30.0444, lon: 31.2357, timeZone: 'Africa/Cairo' },
+    { name: 'Alexandria', country: 'Egypt', lat: 31.2001, lon: 29.9187, timeZone: 'Africa/Cairo' },
+    { name: 'Istanbul', country: 'Turkey', lat: 41.0082, lon: 28.9784, timeZone: 'Europe/Istanbul' },
+    { name: 'Ankara', country: 'Turkey', lat: 39.9334, lon: 32.8597, timeZone: 'Europe/Istanbul' },
+    { name: 'Tehran', country: 'Iran', lat: 35.6892, lon: 51.3890, timeZone: 'Asia/Tehran' },
+    { name: 'Baghdad', country: 'Iraq', lat: 33.3152, lon: 44.3661, timeZone: 'Asia/Baghdad' },
+    { name: 'Damascus', country: 'Syria', lat: 33.5138, lon: 36.2765, timeZone: 'Asia/Damascus' },
+    { name: 'Beirut', country: 'Lebanon', lat: 33.8938, lon: 35.5018, timeZone: 'Asia/Beirut' },
+    { name: 'Karachi', country: 'Pakistan', lat: 24.8607, lon: 67.0011, timeZone: 'Asia/Karachi' },
+    { name: 'Lahore', country: 'Pakistan', lat: 31.5204, lon: 74.3587, timeZone: 'Asia/Karachi' },
+    { name: 'Islamabad', country: 'Pakistan', lat: 33.6844, lon: 73.0479, timeZone: 'Asia/Karachi' },
+    { name: 'Kabul', country: 'Afghanistan', lat: 34.5553, lon: 69.2075, timeZone: 'Asia/Kabul' },
+    { name: 'Delhi', country: 'India', lat: 28.7041, lon: 77.1025, timeZone: 'Asia/Kolkata' },
+    { name: 'Mumbai', country: 'India', lat: 19.0760, lon: 72.8777, timeZone: 'Asia/Kolkata' },
+    { name: 'Kolkata', country: 'India', lat: 22.5726, lon: 88.3639, timeZone: 'Asia/Kolkata' },
+    { name: 'Hyderabad', country: 'India', lat: 17.3850, lon: 78.4867, timeZone: 'Asia/Kolkata' },
+    { name: 'Kathmandu', country: 'Nepal', lat: 27.7172, lon: 85.3240, timeZone: 'Asia/Kathmandu' },
+    { name: 'Colombo', country: 'Sri Lanka', lat: 6.9271, lon: 79.8612, timeZone: 'Asia/Colombo' },
+    { name: 'Male', country: 'Maldives', lat: 4.1755, lon: 73.5093, timeZone: 'Indian/Maldives' },
+    { name: 'Kuala Lumpur', country: 'Malaysia', lat: 3.1390, lon: 101.6869, timeZone: 'Asia/Kuala_Lumpur' },
+    { name: 'Singapore', country: 'Singapore', lat: 1.3521, lon: 103.8198, timeZone: 'Asia/Singapore' },
+    { name: 'Jakarta', country: 'Indonesia', lat: -6.2088, lon: 106.8456, timeZone: 'Asia/Jakarta' },
+    { name: 'Bandar Seri Begawan', country: 'Brunei', lat: 4.9031, lon: 114.9398, timeZone: 'Asia/Brunei' },
+    { name: 'Tashkent', country: 'Uzbekistan', lat: 41.2995, lon: 69.2401, timeZone: 'Asia/Tashkent' },
+    { name: 'Almaty', country: 'Kazakhstan', lat: 43.2220, lon: 76.8512, timeZone: 'Asia/Almaty' },
+    { name: 'Baku', country: 'Azerbaijan', lat: 40.4093, lon: 49.8671, timeZone: 'Asia/Baku' },
+    { name: 'Casablanca', country: 'Morocco', lat: 33.5731, lon: -7.5898, timeZone: 'Africa/Casablanca' },
+    { name: 'Rabat', country: 'Morocco', lat: 34.0209, lon: -6.8416, timeZone: 'Africa/Casablanca' },
+    { name: 'Algiers', country: 'Algeria', lat: 36.7538, lon: 3.0588, timeZone: 'Africa/Algiers' },
+    { name: 'Tunis', country: 'Tunisia', lat: 36.8065, lon: 10.1815, timeZone: 'Africa/Tunis' },
+    { name: 'Tripoli', country: 'Libya', lat: 32.8872, lon: 13.1913, timeZone: 'Africa/Tripoli' },
+    { name: 'Khartoum', country: 'Sudan', lat: 15.5007, lon: 32.5599, timeZone: 'Africa/Khartoum' },
+    { name: 'Lagos', country: 'Nigeria', lat: 6.5244, lon: 3.3792, timeZone: 'Africa/Lagos' },
+    { name: 'Kano', country: 'Nigeria', lat: 12.0022, lon: 8.5920, timeZone: 'Africa/Lagos' },
+    { name: 'Dakar', country: 'Senegal', lat: 14.7167, lon: -17.4677, timeZone: 'Africa/Dakar' },
+    { name: 'Mogadishu', country: 'Somalia', lat: 2.0469, lon: 45.3182, timeZone: 'Africa/Mogadishu' },
+    { name: 'Nairobi', country: 'Kenya', lat: -1.2921, lon: 36.8219, timeZone: 'Africa/Nairobi' },
+    { name: 'Johannesburg', country: 'South Africa', lat: -26.2041, lon: 28.0473, timeZone: 'Africa/Johannesburg' },
+    { name: 'Cape Town', country: 'South Africa', lat: -33.9249, lon: 18.4241, timeZone: 'Africa/Johannesburg' },
+    { name: 'London', country: 'United Kingdom', lat: 51.5074, lon: -0.1278, timeZone: 'Europe/London' },
+    { name: 'Birmingham', country: 'United Kingdom', lat: 52.4862, lon: -1.8904, timeZone: 'Europe/London' },
+    { name: 'Manchester', country: 'United Kingdom', lat: 53.4808, lon: -2.2426, timeZone: 'Europe/London' },
+    { name: 'Paris', country: 'France', lat: 48.8566, lon: 2.3522, timeZone: 'Europe/Paris' },
+    { name: 'Berlin', country: 'Germany', lat: 52.5200, lon: 13.4050, timeZone: 'Europe/Berlin' },
+    { name: 'Amsterdam', country: 'Netherlands', lat: 52.3676, lon: 4.9041, timeZone: 'Europe/Amsterdam' },
+    { name: 'Brussels', country: 'Belgium', lat: 50.8503, lon: 4.3517, timeZone: 'Europe/Brussels' },
+    { name: 'Madrid', country: 'Spain', lat: 40.4168, lon: -3.7038, timeZone: 'Europe/Madrid' },
+    { name: 'Rome', country: 'Italy', lat: 41.9028, lon: 12.4964, timeZone: 'Europe/Rome' },
+    { name: 'Stockholm', country: 'Sweden', lat: 59.3293, lon: 18.0686, timeZone: 'Europe/Stockholm' },
+    { name: 'Oslo', country: 'Norway', lat: 59.9139, lon: 10.7522, timeZone: 'Europe/Oslo' },
+    { name: 'Moscow', country: 'Russia', lat: 55.7558, lon: 37.6173, timeZone: 'Europe/Moscow' },
+    { name: 'Sarajevo', country: 'Bosnia and Herzegovina', lat: 43.8563, lon: 18.4131, timeZone: 'Europe/Sarajevo' },
+    { name: 'New York', country: 'United States', lat: 40.7128, lon: -74.0060, timeZone: 'America/New_York' },
+    { name: 'Chicago', country: 'United States', lat: 41.8781, lon: -87.6298, timeZone: 'America/Chicago' },
+    { name: 'Houston', country: 'United States', lat: 29.7604, lon: -95.3698, timeZone: 'America/Chicago' },
+    { name: 'Los Angeles', country: 'United States', lat: 34.0522, lon: -118.2437, timeZone: 'America/Los_Angeles' },
+    { name: 'Dearborn', country: 'United States', lat: 42.3223, lon: -83.1763, timeZone: 'America/Detroit' },
+    { name: 'Toronto', country: 'Canada', lat: 43.6532, lon: -79.3832, timeZone: 'America/Toronto' },
+    { name: 'Montreal', country: 'Canada', lat: 45.5017, lon: -73.5673, timeZone: 'America/Toronto' },
+    { name: 'Sydney', country: 'Australia', lat: -33.8688, lon: 151.2093, timeZone: 'Australia/Sydney' },
+    { name: 'Melbourne', country: 'Australia', lat: -37.8136, lon: 144.9631, timeZone: 'Australia/Melbourne' },
+    { name: 'Auckland', country: 'New Zealand', lat: -36.8485, lon: 174.7633, timeZone: 'Pacific/Auckland' }
+];
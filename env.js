@@ -0,0 +1,24 @@
+// Clock and network access
+// Everything that needs the current moment or the network goes through here,
+// so the tests can run the app's logic against a fake clock and canned responses.
+
+let clock = () => new Date();
+let fetcher = (url, options) => fetch(url, options);
+
+export function now() {
+    return clock();
+}
+
+export function fetchResource(url, options) {
+    return fetcher(url, options);
+}
+
+// Replace the clock, e.g. with () => new Date('2024-03-15T12:00:00Z')
+export function setClock(getNow) {
+    clock = getNow;
+}
+
+// Replace fetch with a function taking the same arguments
+export function setFetch(fetchFunction) {
+    fetcher = fetchFunction;
+}
@@ -0,0 +1,115 @@
+// Forbidden (makruh) prayer times
+// Windows are derived from sunrise, solar noon and sunset. At sunrise, zenith
+// and sunset no prayer should be started; after praying Fajr and Asr only
+// voluntary prayers are disliked, so those windows open when the prayer is
+// prayed rather than at its adhan, except that the Hanafi school counts the
+// window after Fajr from true dawn. What is still allowed depends on the school.
+
+import { t } from './i18n.js';
+import { getStoredValue, setStoredValue } from './storage.js';
+import { timeToMinutes } from './time.js';
+
+const defaultForbiddenTimes = {
+    sunriseMinutes: 15, // Until the sun has risen a spear's length
+    zenithMinutes: 10, // Before solar noon
+    sunsetMinutes: 15, // From when the sun turns pale until sunset
+    afterFajr: true,
+    afterAsr: true
+};
+
+// Names are translated under forbidden.<id>
+const forbiddenPeriods = {
+    afterFajr: { scope: 'voluntary' },
+    sunrise: { scope: 'all' },
+    zenith: { scope: 'all' },
+    afterAsr: { scope: 'voluntary' },
+    sunset: { scope: 'all' }
+};
+
+export function getForbiddenSettings() {
+    return getStoredValue('forbidden') || defaultForbiddenTimes;
+}
+
+// Forbidden windows for a day as "HH:MM" start and end times, in order
+// `times` are the day's prayer times and `offsets` the minutes added to them,
+// which are taken back off to find solar noon and sunset. `prayed` holds the
+// times Fajr and Asr were prayed, for the windows that follow them, past "24:00"
+// when they were marked in the night after the day.
+export function getForbiddenWindows(times, options, school, offsets, isFriday, prayed = {}) {
+    const noon = shiftTime(times.Dhuhr, -(offsets.Dhuhr || 0));
+    const sunset = shiftTime(times.Maghrib, -(offsets.Maghrib || 0));
+    const paleSun = shiftTime(sunset, -options.sunsetMinutes);
+    const windows = [];
+
+    const add = (id, start, end, prayer) => {
+        // A duration set to zero turns the window off, as does praying after it
+        if (timeToMinutes(start) < timeToMinutes(end)) {
+            windows.push({ id, ...forbiddenPeriods[id], start, end, prayer });
+        }
+    };
+
+    // The Hanafi school dislikes voluntary prayer from true dawn, whether or not Fajr is prayed
+    if (options.afterFajr && school === 1) {
+        add('afterFajr', times.Fajr, times.Sunrise, 'Fajr');
+    } else if (options.afterFajr && prayed.Fajr) {
+        add('afterFajr', getLaterTime(prayed.Fajr, times.Fajr), times.Sunrise, 'Fajr');
+    }
+    add('sunrise', times.Sunrise, shiftTime(times.Sunrise, options.sunriseMinutes), 'Fajr');
+    // The Shafi'i school does not count the zenith on Friday
+    if (!(isFriday && school === 0)) {
+        add('zenith', shiftTime(noon, -options.zenithMinutes), noon, 'Dhuhr');
+    }
+    if (options.afterAsr && prayed.Asr) {
+        add('afterAsr', getLaterTime(prayed.Asr, times.Asr), paleSun, 'Asr');
+    }
+    add('sunset', paleSun, sunset, 'Asr');
+
+    return windows;
+}
+
+function getLaterTime(a, b) {
+    return timeToMinutes(a) > timeToMinutes(b) ? a : b;
+}
+
+// What may still be prayed during a period, by school (0 Shafi'i, 1 Hanafi)
+export function getForbiddenRule(period, school) {
+    if (period.scope === 'voluntary') {
+        return t('forbidden.ruleVoluntary');
+    }
+    if (school === 1) {
+        return t(period.id === 'sunset' ? 'forbidden.ruleHanafiSunset' : 'forbidden.ruleHanafi');
+    }
+    return t('forbidden.ruleShafii');
+}
+
+export function shiftTime(time, minutes) {
+    const [h, m] = time.split(':').map(Number);
+    const total = ((h * 60 + m + minutes) % 1440 + 1440) % 1440;
+    return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+// Forbidden time fields in the settings panel
+export function renderForbiddenSettings() {
+    const options = getForbiddenSettings();
+
+    document.getElementById('forbiddenSunrise').value = options.sunriseMinutes;
+    document.getElementById('forbiddenZenith').value = options.zenithMinutes;
+    document.getElementById('forbiddenSunset').value = options.sunsetMinutes;
+    document.getElementById('forbiddenAfterFajr').checked = options.afterFajr;
+    document.getElementById('forbiddenAfterAsr').checked = options.afterAsr;
+}
+
+export function saveForbiddenSettings() {
+    const minutes = (id, fallback) => {
+        const value = parseInt(document.getElementById(id).value);
+        return Number.isNaN(value) ? fallback : Math.max(0, value);
+    };
+
+    setStoredValue('forbidden', {
+        sunriseMinutes: minutes('forbiddenSunrise', defaultForbiddenTimes.sunriseMinutes),
+        zenithMinutes: minutes('forbiddenZenith', defaultForbiddenTimes.zenithMinutes),
+        sunsetMinutes: minutes('forbiddenSunset', defaultForbiddenTimes.sunsetMinutes),
+        afterFajr: document.getElementById('forbiddenAfterFajr').checked,
+        afterAsr: document.getElementById('forbiddenAfterAsr').checked
+    });
+}
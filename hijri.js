@@ -0,0 +1,73 @@
+// Gregorian to Hijri conversion
+// The tabular (Kuwaiti) calendar is arithmetic: 30-year cycles with leap years
+// 2, 5, 7, 10, 13, 16, 18, 21, 24, 26 and 29. Umm al-Qura follows the official
+// Saudi tables through the browser's Intl calendar data, falling back to the
+// tabular calendar where that is unavailable.
+
+import { t } from './i18n.js';
+
+export const hijriCalendars = {
+    ummalqura: { name: 'Umm al-Qura' },
+    tabular: { name: 'Tabular (Kuwaiti)' }
+};
+
+// Julian day number of 1 Muharram 1 AH (16 July 622)
+const HIJRI_EPOCH = 1948440;
+
+let ummAlQuraFormatter;
+
+// Hijri date of a calendar date, moved by `adjustment` days for local moon sighting
+export function toHijriDate(date, calendar = 'ummalqura', adjustment = 0) {
+    const shifted = new Date(date.getFullYear(), date.getMonth(), date.getDate() + adjustment);
+    const formatter = calendar === 'ummalqura' ? getUmmAlQuraFormatter() : null;
+
+    if (formatter) {
+        const parts = {};
+        formatter.formatToParts(Date.UTC(shifted.getFullYear(), shifted.getMonth(), shifted.getDate(), 12))
+            .forEach(part => {
+                parts[part.type] = part.value;
+            });
+        return { year: parseInt(parts.year), month: Number(parts.month), day: Number(parts.day) };
+    }
+
+    return jdnToTabularHijri(gregorianToJdn(shifted.getFullYear(), shifted.getMonth() + 1, shifted.getDate()));
+}
+
+// Month names are translated under hijri.month1 to hijri.month12
+export function formatHijriDate(hijri) {
+    return t('hijri.date', { day: hijri.day, month: t(`hijri.month${hijri.month}`), year: hijri.year });
+}
+
+// Null when the browser has no Umm al-Qura calendar data
+function getUmmAlQuraFormatter() {
+    if (ummAlQuraFormatter === undefined) {
+        const formatter = new Intl.DateTimeFormat('en-u-ca-islamic-umalqura', {
+            timeZone: 'UTC',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric'
+        });
+        ummAlQuraFormatter = formatter.resolvedOptions().calendar === 'islamic-umalqura' ? formatter : null;
+    }
+    return ummAlQuraFormatter;
+}
+
+function gregorianToJdn(year, month, day) {
+    const a = Math.floor((14 - month) / 12);
+    const y = year + 4800 - a;
+    const m = month + 12 * a - 3;
+    return day + Math.floor((153 * m + 2) / 5) + 365 * y +
+        Math.floor(y / 4) - Math.floor(y / 100) + Math.floor(y / 400) - 32045;
+}
+
+function tabularHijriToJdn(year, month, day) {
+    return day + Math.ceil(29.5 * (month - 1)) + (year - 1) * 354 +
+        Math.floor((3 + 11 * year) / 30) + HIJRI_EPOCH - 1;
+}
+
+function jdnToTabularHijri(jdn) {
+    const year = Math.floor((30 * (jdn - HIJRI_EPOCH) + 10646) / 10631);
+    const month = Math.min(12, Math.ceil((jdn - 29 - tabularHijriToJdn(year, 1, 1)) / 29.5) + 1);
+    const day = jdn - tabularHijriToJdn(year, month, 1) + 1;
+    return { year, month, day };
+}
@@ -0,0 +1,151 @@
+// History calendar with back-dated editing
+
+import { now } from './env.js';
+import { formatDateTime, formatNumber, prayerLabel, t } from './i18n.js';
+import {
+    displayPrayerTimes, displayQadaLedger, formatTime, getPrayerRecordControls, updatePrayerStatus
+} from './render.js';
+import { getTrackingData, setPrayerCompleted, setPrayerMissed } from './storage.js';
+import { getDateKey, getPrayersForDate } from './time.js';
+import { getCachedDayTimes } from './timetable.js';
+import { getLocationDate } from './timezone.js';
+import { prayerTimesDateKey } from './today.js';
+
+let historyMonth = new Date(now().getFullYear(), now().getMonth(), 1);
+let selectedHistoryDate = null;
+
+// Display the month calendar, coloured by each day's completion
+export function displayHistoryCalendar() {
+    const year = historyMonth.getFullYear();
+    const month = historyMonth.getMonth();
+    const firstWeekday = new Date(year, month, 1).getDay();
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+
+    document.getElementById('historyMonth').textContent =
+        formatDateTime(historyMonth, { month: 'long', year: 'numeric' });
+
+    // 7 January 2024 was a Sunday
+    let html = '';
+    for (let weekday = 0; weekday < 7; weekday++) {
+        const day = formatDateTime(new Date(2024, 0, 7 + weekday), { weekday: 'short' });
+        html += `<div class="calendar-weekday">${day}</div>`;
+    }
+
+    for (let i = 0; i < firstWeekday; i++) {
+        html += '<div></div>';
+    }
+
+    for (let day = 1; day <= daysInMonth; day++) {
+        const date = new Date(year, month, day);
+        const status = getDayStatus(date);
+        const isSelected = selectedHistoryDate && date.getTime() === selectedHistoryDate.getTime();
+
+        html += `
+                    <button class="calendar-day ${status} ${isSelected ? 'selected' : ''}"
+                        onclick="selectHistoryDate(${year}, ${month}, ${day})"
+                        ${status === 'future' ? 'disabled' : ''}>${formatNumber(day)}</button>
+                `;
+    }
+
+    document.getElementById('historyCalendar').innerHTML = html;
+}
+
+// Completion status of a day: complete, partial, missed, no-data or future
+function getDayStatus(date) {
+    if (date > getLocationDate()) {
+        return 'future';
+    }
+
+    const dateKey = getDateKey(date);
+    const { completedPrayers, missedPrayers } = getTrackingData();
+    const prayers = getPrayersForDate(date);
+    const completed = prayers.filter(prayer => completedPrayers[dateKey]?.[prayer]).length;
+    const missed = prayers.filter(prayer => missedPrayers[dateKey]?.[prayer]).length;
+
+    if (completed === prayers.length) {
+        return 'complete';
+    } else if (completed > 0) {
+        return 'partial';
+    } else if (missed > 0) {
+        return 'missed';
+    }
+    return 'no-data';
+}
+
+export function changeHistoryMonth(delta) {
+    historyMonth = new Date(historyMonth.getFullYear(), historyMonth.getMonth() + delta, 1);
+    displayHistoryCalendar();
+}
+
+export function selectHistoryDate(year, month, day) {
+    selectedHistoryDate = new Date(year, month, day);
+    displayHistoryCalendar();
+    displayHistoryDay();
+}
+
+// Display the selected day's prayers with that day's times
+export function displayHistoryDay() {
+    const container = document.getElementById('historyDay');
+    if (!selectedHistoryDate) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const dateKey = getDateKey(selectedHistoryDate);
+    // The times the cards showed that day, where its month is still cached
+    const times = getCachedDayTimes(selectedHistoryDate);
+    const { completedPrayers, missedPrayers } = getTrackingData();
+
+    let html = `<h3>${formatDateTime(selectedHistoryDate, {
+        weekday: 'long',
+        month: 'long',
+        day: 'numeric'
+    })}</h3>`;
+
+    getPrayersForDate(selectedHistoryDate).forEach(prayer => {
+        const time = times[prayer === 'Jummah' ? 'Dhuhr' : prayer];
+        const record = completedPrayers[dateKey]?.[prayer];
+        const isCompleted = Boolean(record);
+        const isMissed = missedPrayers[dateKey]?.[prayer];
+
+        html += `
+                    <div class="history-prayer">
+                        <span>${prayerLabel(prayer)} <small>${formatTime(time)}</small></span>
+                        <div class="history-actions">
+                            <button class="${isCompleted ? 'chosen prayed' : ''}"
+                                onclick="setHistoryPrayerStatus('${prayer}', 'prayed')">${t('history.prayed')}</button>
+                            <button class="${isMissed ? 'chosen missed' : ''}"
+                                onclick="setHistoryPrayerStatus('${prayer}', 'missed')">${t('history.missed')}</button>
+                        </div>
+                    </div>
+                    ${isCompleted ? getPrayerRecordControls(dateKey, prayer, record) : ''}
+                `;
+    });
+
+    container.innerHTML = html;
+}
+
+// Mark a prayer on the selected day as prayed or missed after the fact
+export function setHistoryPrayerStatus(prayer, status) {
+    const dateKey = getDateKey(selectedHistoryDate);
+
+    if (status === 'prayed') {
+        // Keep the details of a prayer already marked; the marking time is unknown after the fact
+        if (!getTrackingData().completedPrayers[dateKey]?.[prayer]) {
+            setPrayerCompleted(dateKey, prayer, true, { at: null });
+        }
+    } else {
+        const times = getCachedDayTimes(selectedHistoryDate);
+        setPrayerMissed(dateKey, prayer, times[prayer === 'Jummah' ? 'Dhuhr' : prayer]);
+    }
+
+    // Editing the loaded day from history also updates its cards
+    if (dateKey === prayerTimesDateKey) {
+        displayPrayerTimes();
+        updatePrayerStatus();
+    }
+
+    displayQadaLedger();
+    displayHistoryCalendar();
+    displayHistoryDay();
+}
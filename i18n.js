@@ -0,0 +1,999 @@
+// Interface language, text direction and number and time formatting
+// Strings are looked up by key in the active catalog, falling back to English.
+// Placeholders such as {prayer} are filled from `params`; numbers are written
+// with the language's digits unless Latin digits are chosen in the settings.
+
+import { settings } from './settings.js';
+
+const languages = {
+    en: { name: 'English', locale: 'en-US', dir: 'ltr', digits: 'latn' },
+    ar: { name: 'العربية', locale: 'ar', dir: 'rtl', digits: 'arab' },
+    bn: { name: 'বাংলা', locale: 'bn-BD', dir: 'ltr', digits: 'beng' }
+};
+
+const translations = {
+    en: {
+        'app.title': '🕌 Salat Tracker',
+        'header.settings': 'Settings',
+        'header.qibla': 'Qibla',
+        'header.loadingLocation': 'Loading location...',
+        'header.profile': 'Profile',
+        'header.family': '👪 Family',
+
+        'prayer.Fajr': 'Fajr',
+        'prayer.Sunrise': 'Sunrise',
+        'prayer.Dhuhr': 'Dhuhr',
+        'prayer.Asr': 'Asr',
+        'prayer.Maghrib': 'Maghrib',
+        'prayer.Isha': 'Isha',
+        'prayer.Jummah': 'Jummah',
+
+        'prayers.loading': 'Loading prayer times...',
+        'card.times': 'Start: {start} | End: {end}',
+        'card.markPrayed': 'Mark as Prayed',
+        'card.attendedJummah': 'Attended Jummah Prayer',
+        'card.adhan': 'Adhan {time}',
+        'card.iqamah': 'Iqamah {time}',
+        'next.in': 'Next: {prayer} in {time} at {at}',
+        'next.tomorrow': 'Next: {prayer} (Tomorrow) at {at}',
+        'next.iqamah': 'Next: {prayer} iqamah in {time} at {at}',
+        'next.iqamahTomorrow': 'Next: {prayer} iqamah (Tomorrow) at {at}',
+        'duration.hoursMinutes': '{hours}h {minutes}m',
+        'duration.minutes': '{minutes}m',
+        'duration.days_one': '{count} day',
+        'duration.days_other': '{count} days',
+
+        'record.congregation': 'Congregation',
+        'record.where': 'Where?',
+        'record.inCongregation': '🕌 In congregation',
+        'record.alone': '🧍 Alone',
+        'record.timing': 'Timing',
+        'record.when': 'When?',
+        'record.onTime': '⏱️ On time',
+        'record.late': '⌛ Late',
+        'record.qada': '📒 Qada',
+        'record.marked': 'Marked {time}',
+
+        'travel.qasr': '✈️ Qasr: pray 2 rak\'ahs instead of 4',
+        'travel.combine': 'Pray with {prayer} (jam\')',
+        'travel.banner': '✈️ Travel mode: {distance} km from {home}. Qasr applies to Dhuhr, Asr and Isha.',
+        'travel.home': 'home',
+
+        'forbidden.afterFajr': 'After Fajr',
+        'forbidden.sunrise': 'Sunrise',
+        'forbidden.zenith': 'Zenith',
+        'forbidden.afterAsr': 'After Asr',
+        'forbidden.sunset': 'Sunset',
+        'forbidden.banner': '⚠️ {name} forbidden time until {end}',
+        'forbidden.ruleVoluntary': 'Voluntary prayers are disliked; make-up prayers are allowed',
+        'forbidden.ruleHanafiSunset': 'No prayer may be started, except today\'s Asr if not yet prayed',
+        'forbidden.ruleHanafi': 'No prayer may be started, including make-up prayers',
+        'forbidden.ruleShafii': 'Only prayers with a reason, such as make-up prayers, may be prayed',
+
+        'voluntary.Tahajjud': 'Tahajjud',
+        'voluntary.Fajr-before': 'Sunnah before',
+        'voluntary.Duha': 'Duha',
+        'voluntary.Dhuhr-before': 'Sunnah before',
+        'voluntary.Dhuhr-after': 'Sunnah after',
+        'voluntary.Maghrib-after': 'Sunnah after',
+        'voluntary.Isha-after': 'Sunnah after',
+        'voluntary.Witr': 'Witr',
+        'voluntary.check': '{name} ({rakahs})',
+        'voluntaryStat.Fajr-before': 'Fajr sunnah before',
+        'voluntaryStat.Dhuhr-before': 'Dhuhr sunnah before',
+        'voluntaryStat.Dhuhr-after': 'Dhuhr sunnah after',
+        'voluntaryStat.Maghrib-after': 'Maghrib sunnah after',
+        'voluntaryStat.Isha-after': 'Isha sunnah after',
+
+        'qada.title': '📒 Qada (Make-up) Prayers',
+        'qada.rate': 'Make-up prayers of each per day',
+        'qada.opening': 'Opening balance from past years',
+        'qada.saveBalance': 'Save balance',
+        'qada.madeUp': '+{count} Made up',
+        'qada.none': 'No make-up prayers owed',
+        'qada.summary': '{total} owed in total. Estimated payoff: {date} ({days})',
+
+        'fasting.title': '🌙 Ramadan Fasts',
+        'fasting.day': 'Day {day} of Ramadan {year}',
+        'fasting.fasting': '✓ Fasting today',
+        'fasting.notFasting': '✗ Not fasting',
+        'fasting.summary': 'Fasted {fasted} · Missed {missed} · Made up {madeUp} ·',
+        'fasting.owed': '{owed} to make up',
+        'fasting.makeUp': '+{count} Make-up fast',
+        'fasting.taraweeh': 'Prayed Taraweeh',
+        'ramadan.suhoor': '🌙 Suhoor ends in {time} at {at}',
+        'ramadan.iftar': '🌙 Iftar in {time} at {at}',
+        'ramadan.suhoorTomorrow': '🌙 Suhoor ends (Tomorrow) at {at}',
+        'ramadan.fajr': '🌙 Suhoor has ended, Fajr in {time} at {at}',
+
+        'today.title': 'Today\'s Progress',
+        'today.completed': 'Prayers Completed',
+        'today.remaining': 'Remaining Today',
+        'actions.statistics': '📊 View Statistics',
+        'actions.timetable': '🗓️ Monthly Timetable',
+        'actions.backup': '💾 Backup & Sync',
+        'actions.masjid': '🕌 Masjid Iqamah',
+
+        'history.previous': 'Previous month',
+        'history.next': 'Next month',
+        'history.prayed': '✓ Prayed',
+        'history.missed': '✗ Missed',
+
+        'settings.title': '⚙️ Settings',
+        'settings.method': 'Calculation method',
+        'settings.school': 'Asr juristic school',
+        'settings.highLatitude': 'High-latitude adjustment',
+        'settings.ishaEnd': 'Isha time ends at',
+        'settings.hijriCalendar': 'Hijri calendar',
+        'settings.hijriAdjustment': 'Hijri day adjustment (moon sighting)',
+        'settings.offsets': 'Minute offsets',
+        'school.0': 'Shafi\'i, Maliki, Hanbali',
+        'school.1': 'Hanafi',
+        'highLatitude.1': 'Middle of the night',
+        'highLatitude.2': 'One-seventh of the night',
+        'highLatitude.3': 'Angle-based',
+        'ishaEnd.midnight': 'Islamic midnight (halfway from sunset to sunrise)',
+        'ishaEnd.halfNight': 'Half the night (halfway from sunset to Fajr)',
+        'ishaEnd.fajr': 'True dawn (Fajr)',
+        'hijriCalendar.ummalqura': 'Umm al-Qura',
+        'hijriCalendar.tabular': 'Tabular (Kuwaiti)',
+        'settings.languageTitle': 'Language',
+        'settings.language': 'Language',
+        'settings.timeFormat': 'Time format',
+        'settings.digits': 'Digits',
+        'settings.automatic': 'Automatic',
+        'settings.hours': '{hours}-hour',
+        'settings.nativeDigits': 'Native',
+        'settings.latinDigits': 'Latin (0–9)',
+        'settings.voluntaryTitle': 'Voluntary Prayers',
+        'settings.trackVoluntary': 'Track sunnah, Witr, Duha and Tahajjud on the prayer cards',
+        'settings.forbiddenTitle': 'Forbidden Times',
+        'settings.forbiddenSunrise': 'After sunrise (min)',
+        'settings.forbiddenZenith': 'Before zenith (min)',
+        'settings.forbiddenSunset': 'Before sunset (min)',
+        'settings.forbiddenAfterFajr': 'Include the period after praying Fajr until sunrise (voluntary prayers)',
+        'settings.forbiddenAfterAsr': 'Include the period after praying Asr until sunset (voluntary prayers)',
+
+        'reminders.title': 'Reminders',
+        'reminders.enable': 'Enable prayer notifications',
+        'reminders.minutesBefore': 'Minutes before',
+        'reminders.minutesBeforeEnd': 'Minutes before end',
+        'reminders.snooze': 'Snooze minutes',
+        'reminders.adhan': 'Adhan audio URL (played at prayer start, optional)',
+        'reminders.before': 'Before',
+        'reminders.atStart': 'At start',
+        'reminders.beforeEnd': 'Before end',
+
+        'notify.beforeTitle': '{prayer} in {minutes} minutes',
+        'notify.beforeBody': '{prayer} starts at {time}',
+        'notify.startTitle': 'It\'s time for {prayer}',
+        'notify.startBody': '{prayer} has started ({time})',
+        'notify.beforeEndTitle': '{prayer} ends in {minutes} minutes',
+        'notify.beforeEndBody': 'Pray {prayer} before {time}',
+        'notify.snooze': 'Snooze {minutes} min',
+
+        'location.title': '📍 Location',
+        'location.search': 'Search for a city',
+        'location.useDevice': '🛰️ Use my current location',
+        'location.savedPlaces': 'Saved Places',
+        'location.placeName': 'Name, e.g. Home or Work',
+        'location.saveCurrent': 'Save current',
+        'location.noPlaces': 'No saved places yet',
+        'location.unknown': 'Unknown',
+        'location.setHome': 'Set Home',
+        'location.travelTitle': 'Travel Mode',
+        'location.travelDistance': 'Travelling when further from home than (km)',
+        'location.showCombining': 'Offer combining prayers (jam\') while travelling',
+
+        'stats.title': '📊 Statistics',
+        'stats.currentStreak': 'Current Streak (days)',
+        'stats.longestStreak': 'Longest Streak (days)',
+        'stats.lastDays': 'Last {count} Days',
+        'stats.punctuality': 'Punctuality Score',
+        'stats.inCongregation': 'In Congregation',
+        'stats.counts': 'Last {days} days: {onTime} on time · {late} late · {qada} qada',
+        'stats.byPrayer': 'By Prayer (last {days} days)',
+        'stats.prayer': 'Prayer',
+        'stats.rate': 'Rate',
+        'stats.streak': 'Streak',
+        'stats.best': 'Best',
+        'stats.mostMissed_one': 'Most missed: <strong>{prayer}</strong> ({count} time)',
+        'stats.mostMissed_other': 'Most missed: <strong>{prayer}</strong> ({count} times)',
+        'stats.noMissed': 'No missed prayers recorded',
+        'stats.weeklyTrend': 'Weekly Trend',
+        'stats.trendLabel': 'Weekly completion trend',
+        'stats.voluntary': 'Sunnah & Voluntary (last {days} days)',
+
+        'family.title': '👪 Family',
+        'family.note': 'Each person keeps their own prayers, settings and qada ledger.',
+        'family.newName': 'Name of a family member',
+        'family.add': 'Add',
+        'family.name': 'Name',
+        'family.current': 'Current',
+        'family.switch': 'Switch',
+        'family.missedToday': 'Missed Today',
+        'family.qadaOwed': 'Qada Owed',
+        'family.confirmRemove': 'Delete {name} and all of their prayer records?',
+
+        'backup.title': '💾 Backup & Sync',
+        'backup.heading': 'Backup',
+        'backup.note': 'Imported backups are merged day by day with the history on this device.',
+        'backup.export': 'Export JSON',
+        'backup.import': 'Import JSON',
+        'backup.imported': 'Backup imported. Reloading...',
+        'backup.failed': 'Import failed: {error}',
+        'backup.notBackup': 'Not a Salat Tracker backup',
+        'backup.newer': 'The backup is from a newer version of the app',
+        'sync.heading': 'Sync',
+        'sync.endpoint': 'Sync endpoint (leave empty to turn sync off)',
+        'sync.token': 'Token (use the same one on each device)',
+        'sync.save': 'Save & Sync',
+        'sync.syncing': 'Syncing...',
+        'sync.failed': 'Sync failed: {error}',
+        'sync.newer': 'The synced data is from a newer version of the app',
+        'sync.busy': 'Another device kept saving at the same time, try again',
+        'sync.off': 'Sync is off',
+        'sync.last': 'Last synced {time}',
+        'sync.never': 'Not synced yet',
+
+        'masjid.title': '🕌 Masjid Iqamah',
+        'masjid.enabled': 'Show iqamah times and count down to them',
+        'masjid.name': 'Masjid',
+        'masjid.note': 'Enter a time such as 13:30, or minutes after the adhan such as +10. Add a schedule for each date the masjid changes its times.',
+        'masjid.from': 'From',
+        'masjid.jummah': 'Jummah (one time for each khutbah)',
+        'masjid.addSchedule': '+ Add schedule change',
+        'masjid.export': 'Export',
+        'masjid.import': 'Import',
+        'masjid.imported': 'Schedule imported. Check it and save.',
+        'masjid.invalid': 'Not a masjid iqamah schedule',
+        'masjid.invalidTime': '{prayer}: "{value}" is not a time like 13:30 or +10',
+        'masjid.invalidDate': '"{value}" is not a date',
+
+        'qibla.title': '🧭 Qibla',
+        'qibla.distance': '{distance} km to Makkah',
+        'qibla.facing': '✅ You are facing the Qibla',
+        'qibla.turn': 'Turn until the Kaaba is at the top',
+        'qibla.noCompass': 'No compass on this device: the Qibla is shown from true north',
+        'qibla.dialLabel': 'Qibla {degrees} degrees from north',
+        'qibla.mapLabel': 'Route to Makkah',
+        'compass.N': 'N',
+        'compass.NE': 'NE',
+        'compass.E': 'E',
+        'compass.SE': 'SE',
+        'compass.S': 'S',
+        'compass.SW': 'SW',
+        'compass.W': 'W',
+        'compass.NW': 'NW',
+
+        'timetable.date': 'Date',
+        'timetable.print': '🖨️ Print',
+        'timetable.csv': 'CSV',
+        'timetable.ics': 'Calendar (.ics)',
+
+        'common.cancel': 'Cancel',
+        'common.save': 'Save',
+        'common.close': 'Close',
+        'common.done': 'Done',
+        'common.remove': 'Remove',
+
+        'install.text': 'Add Salat Tracker to your home screen for quick access!',
+        'install.install': 'Install',
+        'install.later': 'Later',
+        'update.text': 'A new version of Salat Tracker is available.',
+        'update.reload': 'Reload',
+
+        'hijri.date': '{day} {month} {year} AH',
+        'hijri.month1': 'Muharram',
+        'hijri.month2': 'Safar',
+        'hijri.month3': 'Rabi\' al-Awwal',
+        'hijri.month4': 'Rabi\' al-Thani',
+        'hijri.month5': 'Jumada al-Awwal',
+        'hijri.month6': 'Jumada al-Thani',
+        'hijri.month7': 'Rajab',
+        'hijri.month8': 'Sha\'ban',
+        'hijri.month9': 'Ramadan',
+        'hijri.month10': 'Shawwal',
+        'hijri.month11': 'Dhu al-Qi\'dah',
+        'hijri.month12': 'Dhu al-Hijjah'
+    },
+
+    ar: {
+        'app.title': '🕌 متتبع الصلاة',
+        'header.settings': 'الإعدادات',
+        'header.qibla': 'القبلة',
+        'header.loadingLocation': 'جارٍ تحديد الموقع...',
+        'header.profile': 'الملف الشخصي',
+        'header.family': '👪 العائلة',
+
+        'prayer.Fajr': 'الفجر',
+        'prayer.Sunrise': 'الشروق',
+        'prayer.Dhuhr': 'الظهر',
+        'prayer.Asr': 'العصر',
+        'prayer.Maghrib': 'المغرب',
+        'prayer.Isha': 'العشاء',
+        'prayer.Jummah': 'الجمعة',
+
+        'prayers.loading': 'جارٍ تحميل مواقيت الصلاة...',
+        'card.times': 'البداية: {start} | النهاية: {end}',
+        'card.markPrayed': 'تمت الصلاة',
+        'card.attendedJummah': 'حضرت صلاة الجمعة',
+        'card.adhan': 'الأذان {time}',
+        'card.iqamah': 'الإقامة {time}',
+        'next.in': 'التالية: {prayer} بعد {time} عند {at}',
+        'next.tomorrow': 'التالية: {prayer} (غدًا) عند {at}',
+        'next.iqamah': 'التالية: إقامة {prayer} بعد {time} عند {at}',
+        'next.iqamahTomorrow': 'التالية: إقامة {prayer} (غدًا) عند {at}',
+        'duration.hoursMinutes': '{hours} س {minutes} د',
+        'duration.minutes': '{minutes} د',
+        'duration.days_zero': '{count} يوم',
+        'duration.days_one': 'يوم واحد',
+        'duration.days_two': 'يومان',
+        'duration.days_few': '{count} أيام',
+        'duration.days_many': '{count} يومًا',
+        'duration.days_other': '{count} يوم',
+
+        'record.congregation': 'الجماعة',
+        'record.where': 'أين؟',
+        'record.inCongregation': '🕌 في جماعة',
+        'record.alone': '🧍 منفردًا',
+        'record.timing': 'التوقيت',
+        'record.when': 'متى؟',
+        'record.onTime': '⏱️ في وقتها',
+        'record.late': '⌛ متأخرة',
+        'record.qada': '📒 قضاء',
+        'record.marked': 'سُجّلت {time}',
+
+        'travel.qasr': '✈️ القصر: صلِّ ركعتين بدل أربع',
+        'travel.combine': 'اجمعها مع {prayer}',
+        'travel.banner': '✈️ وضع السفر: {distance} كم عن {home}. يُقصر الظهر والعصر والعشاء.',
+        'travel.home': 'المنزل',
+
+        'forbidden.afterFajr': 'بعد الفجر',
+        'forbidden.sunrise': 'الشروق',
+        'forbidden.zenith': 'الزوال',
+        'forbidden.afterAsr': 'بعد العصر',
+        'forbidden.sunset': 'الغروب',
+        'forbidden.banner': '⚠️ وقت نهي ({name}) حتى {end}',
+        'forbidden.ruleVoluntary': 'تُكره صلاة النافلة، ويجوز قضاء الفوائت',
+        'forbidden.ruleHanafiSunset': 'لا يُبدأ فيه بصلاة، إلا عصر اليوم إن لم تُصلَّ بعد',
+        'forbidden.ruleHanafi': 'لا يُبدأ فيه بصلاة، ولا بقضاء الفوائت',
+        'forbidden.ruleShafii': 'لا يُصلّى إلا ما له سبب، كقضاء الفوائت',
+
+        'voluntary.Tahajjud': 'التهجد',
+        'voluntary.Fajr-before': 'السنة القبلية',
+        'voluntary.Duha': 'الضحى',
+        'voluntary.Dhuhr-before': 'السنة القبلية',
+        'voluntary.Dhuhr-after': 'السنة البعدية',
+        'voluntary.Maghrib-after': 'السنة البعدية',
+        'voluntary.Isha-after': 'السنة البعدية',
+        'voluntary.Witr': 'الوتر',
+        'voluntary.check': '{name} ({rakahs})',
+        'voluntaryStat.Fajr-before': 'سنة الفجر القبلية',
+        'voluntaryStat.Dhuhr-before': 'سنة الظهر القبلية',
+        'voluntaryStat.Dhuhr-after': 'سنة الظهر البعدية',
+        'voluntaryStat.Maghrib-after': 'سنة المغرب البعدية',
+        'voluntaryStat.Isha-after': 'سنة العشاء البعدية',
+
+        'qada.title': '📒 صلوات القضاء',
+        'qada.rate': 'عدد صلوات القضاء من كل فرض يوميًا',
+        'qada.opening': 'الرصيد الافتتاحي من السنوات الماضية',
+        'qada.saveBalance': 'حفظ الرصيد',
+        'qada.madeUp': '+{count} قضاء',
+        'qada.none': 'لا توجد صلوات عليك قضاؤها',
+        'qada.summary': 'المجموع المستحق {total}. الانتهاء المتوقع: {date} ({days})',
+
+        'fasting.title': '🌙 صيام رمضان',
+        'fasting.day': 'اليوم {day} من رمضان {year}',
+        'fasting.fasting': '✓ صائم اليوم',
+        'fasting.notFasting': '✗ لست صائمًا',
+        'fasting.summary': 'صيام {fasted} · فائت {missed} · مقضي {madeUp} ·',
+        'fasting.owed': '{owed} للقضاء',
+        'fasting.makeUp': '+{count} يوم قضاء',
+        'fasting.taraweeh': 'صليت التراويح',
+        'ramadan.suhoor': '🌙 ينتهي السحور بعد {time} عند {at}',
+        'ramadan.iftar': '🌙 الإفطار بعد {time} عند {at}',
+        'ramadan.suhoorTomorrow': '🌙 ينتهي السحور (غدًا) عند {at}',
+        'ramadan.fajr': '🌙 انتهى السحور، الفجر بعد {time} عند {at}',
+
+        'today.title': 'إنجاز اليوم',
+        'today.completed': 'صلوات مؤداة',
+        'today.remaining': 'المتبقي اليوم',
+        'actions.statistics': '📊 الإحصاءات',
+        'actions.timetable': '🗓️ الجدول الشهري',
+        'actions.backup': '💾 النسخ الاحتياطي والمزامنة',
+        'actions.masjid': '🕌 إقامة المسجد',
+
+        'history.previous': 'الشهر السابق',
+        'history.next': 'الشهر التالي',
+        'history.prayed': '✓ صُلّيت',
+        'history.missed': '✗ فاتت',
+
+        'settings.title': '⚙️ الإعدادات',
+        'settings.method': 'طريقة الحساب',
+        'settings.school': 'المذهب في وقت العصر',
+        'settings.highLatitude': 'تعديل خطوط العرض العليا',
+        'settings.ishaEnd': 'ينتهي وقت العشاء عند',
+        'settings.hijriCalendar': 'التقويم الهجري',
+        'settings.hijriAdjustment': 'تعديل اليوم الهجري (رؤية الهلال)',
+        'settings.offsets': 'تعديل الدقائق',
+        'school.0': 'الشافعي والمالكي والحنبلي',
+        'school.1': 'الحنفي',
+        'highLatitude.1': 'منتصف الليل',
+        'highLatitude.2': 'سُبع الليل',
+        'highLatitude.3': 'حسب الزاوية',
+        'ishaEnd.midnight': 'منتصف الليل الشرعي (بين الغروب والشروق)',
+        'ishaEnd.halfNight': 'نصف الليل (بين الغروب والفجر)',
+        'ishaEnd.fajr': 'طلوع الفجر الصادق',
+        'hijriCalendar.ummalqura': 'أم القرى',
+        'hijriCalendar.tabular': 'الحسابي (الكويتي)',
+        'settings.languageTitle': 'اللغة',
+        'settings.language': 'اللغة',
+        'settings.timeFormat': 'تنسيق الوقت',
+        'settings.digits': 'الأرقام',
+        'settings.automatic': 'تلقائي',
+        'settings.hours': '{hours} ساعة',
+        'settings.nativeDigits': 'عربية (٠–٩)',
+        'settings.latinDigits': 'لاتينية (0–9)',
+        'settings.voluntaryTitle': 'صلوات النافلة',
+        'settings.trackVoluntary': 'تتبع السنن والوتر والضحى والتهجد في بطاقات الصلاة',
+        'settings.forbiddenTitle': 'أوقات النهي',
+        'settings.forbiddenSunrise': 'بعد الشروق (دقيقة)',
+        'settings.forbiddenZenith': 'قبل الزوال (دقيقة)',
+        'settings.forbiddenSunset': 'قبل الغروب (دقيقة)',
+        'settings.forbiddenAfterFajr': 'تضمين ما بعد صلاة الفجر حتى الشروق (للنوافل)',
+        'settings.forbiddenAfterAsr': 'تضمين ما بعد صلاة العصر حتى الغروب (للنوافل)',
+
+        'reminders.title': 'التنبيهات',
+        'reminders.enable': 'تفعيل تنبيهات الصلاة',
+        'reminders.minutesBefore': 'دقائق قبل الوقت',
+        'reminders.minutesBeforeEnd': 'دقائق قبل خروج الوقت',
+        'reminders.snooze': 'دقائق الغفوة',
+        'reminders.adhan': 'رابط صوت الأذان (يُشغَّل عند دخول الوقت، اختياري)',
+        'reminders.before': 'قبل',
+        'reminders.atStart': 'عند الدخول',
+        'reminders.beforeEnd': 'قبل الخروج',
+
+        'notify.beforeTitle': '{prayer} بعد {minutes} دقيقة',
+        'notify.beforeBody': 'يدخل وقت {prayer} عند {time}',
+        'notify.startTitle': 'حان وقت صلاة {prayer}',
+        'notify.startBody': 'دخل وقت {prayer} ({time})',
+        'notify.beforeEndTitle': 'ينتهي وقت {prayer} بعد {minutes} دقيقة',
+        'notify.beforeEndBody': 'صلِّ {prayer} قبل {time}',
+        'notify.snooze': 'غفوة {minutes} دقيقة',
+
+        'location.title': '📍 الموقع',
+        'location.search': 'ابحث عن مدينة',
+        'location.useDevice': '🛰️ استخدم موقعي الحالي',
+        'location.savedPlaces': 'الأماكن المحفوظة',
+        'location.placeName': 'الاسم، مثل المنزل أو العمل',
+        'location.saveCurrent': 'حفظ الموقع الحالي',
+        'location.noPlaces': 'لا توجد أماكن محفوظة بعد',
+        'location.unknown': 'غير معروف',
+        'location.setHome': 'اجعله المنزل',
+        'location.travelTitle': 'وضع السفر',
+        'location.travelDistance': 'مسافر عند الابتعاد عن المنزل أكثر من (كم)',
+        'location.showCombining': 'اقتراح الجمع بين الصلاتين أثناء السفر',
+
+        'stats.title': '📊 الإحصاءات',
+        'stats.currentStreak': 'المواظبة الحالية (أيام)',
+        'stats.longestStreak': 'أطول مواظبة (أيام)',
+        'stats.lastDays_few': 'آخر {count} أيام',
+        'stats.lastDays_other': 'آخر {count} يومًا',
+        'stats.punctuality': 'مؤشر المحافظة على الوقت',
+        'stats.inCongregation': 'في جماعة',
+        'stats.counts': 'آخر {days} يومًا: {onTime} في وقتها · {late} متأخرة · {qada} قضاء',
+        'stats.byPrayer': 'حسب الصلاة (آخر {days} يومًا)',
+        'stats.prayer': 'الصلاة',
+        'stats.rate': 'النسبة',
+        'stats.streak': 'المواظبة',
+        'stats.best': 'الأفضل',
+        'stats.mostMissed_one': 'الأكثر فوتًا: <strong>{prayer}</strong> (مرة واحدة)',
+        'stats.mostMissed_two': 'الأكثر فوتًا: <strong>{prayer}</strong> (مرتان)',
+        'stats.mostMissed_few': 'الأكثر فوتًا: <strong>{prayer}</strong> ({count} مرات)',
+        'stats.mostMissed_other': 'الأكثر فوتًا: <strong>{prayer}</strong> ({count} مرة)',
+        'stats.noMissed': 'لا توجد صلوات فائتة مسجلة',
+        'stats.weeklyTrend': 'الاتجاه الأسبوعي',
+        'stats.trendLabel': 'اتجاه الإنجاز الأسبوعي',
+        'stats.voluntary': 'السنن والنوافل (آخر {days} يومًا)',
+
+        'family.title': '👪 العائلة',
+        'family.note': 'لكل فرد صلواته وإعداداته وسجل قضائه الخاص.',
+        'family.newName': 'اسم أحد أفراد العائلة',
+        'family.add': 'إضافة',
+        'family.name': 'الاسم',
+        'family.current': 'الحالي',
+        'family.switch': 'تبديل',
+        'family.missedToday': 'فائتة اليوم',
+        'family.qadaOwed': 'قضاء مستحق',
+        'family.confirmRemove': 'حذف {name} وجميع سجلات صلاته؟',
+
+        'backup.title': '💾 النسخ الاحتياطي والمزامنة',
+        'backup.heading': 'النسخ الاحتياطي',
+        'backup.note': 'تُدمج النسخ المستوردة يومًا بيوم مع السجل على هذا الجهاز.',
+        'backup.export': 'تصدير JSON',
+        'backup.import': 'استيراد JSON',
+        'backup.imported': 'تم استيراد النسخة. جارٍ إعادة التحميل...',
+        'backup.failed': 'فشل الاستيراد: {error}',
+        'backup.notBackup': 'هذا الملف ليس نسخة احتياطية من متتبع الصلاة',
+        'backup.newer': 'النسخة الاحتياطية من إصدار أحدث من التطبيق',
+        'sync.heading': 'المزامنة',
+        'sync.endpoint': 'عنوان المزامنة (اتركه فارغًا لإيقاف المزامنة)',
+        'sync.token': 'الرمز (استخدم الرمز نفسه على كل جهاز)',
+        'sync.save': 'حفظ ومزامنة',
+        'sync.syncing': 'جارٍ المزامنة...',
+        'sync.failed': 'فشلت المزامنة: {error}',
+        'sync.newer': 'البيانات المتزامنة من إصدار أحدث من التطبيق',
+        'sync.busy': 'جهاز آخر يحفظ في الوقت نفسه، حاول مرة أخرى',
+        'sync.off': 'المزامنة متوقفة',
+        'sync.last': 'آخر مزامنة {time}',
+        'sync.never': 'لم تتم المزامنة بعد',
+
+        'masjid.title': '🕌 إقامة المسجد',
+        'masjid.enabled': 'عرض أوقات الإقامة والعد التنازلي لها',
+        'masjid.name': 'المسجد',
+        'masjid.note': 'أدخل وقتًا مثل 13:30، أو دقائق بعد الأذان مثل +10. أضف جدولًا لكل تاريخ يغيّر فيه المسجد أوقاته.',
+        'masjid.from': 'من',
+        'masjid.jummah': 'الجمعة (وقت لكل خطبة)',
+        'masjid.addSchedule': '+ إضافة تغيير في الجدول',
+        'masjid.export': 'تصدير',
+        'masjid.import': 'استيراد',
+        'masjid.imported': 'تم استيراد الجدول. راجعه ثم احفظه.',
+        'masjid.invalid': 'ليس جدول إقامة لمسجد',
+        'masjid.invalidTime': '{prayer}: "{value}" ليس وقتًا مثل 13:30 أو +10',
+        'masjid.invalidDate': '"{value}" ليس تاريخًا',
+
+        'qibla.title': '🧭 القبلة',
+        'qibla.distance': '{distance} كم إلى مكة المكرمة',
+        'qibla.facing': '✅ أنت تستقبل القبلة',
+        'qibla.turn': 'استدر حتى تصبح الكعبة في الأعلى',
+        'qibla.noCompass': 'لا توجد بوصلة في هذا الجهاز: تُعرض القبلة من الشمال الحقيقي',
+        'qibla.dialLabel': 'القبلة {degrees} درجة من الشمال',
+        'qibla.mapLabel': 'الطريق إلى مكة المكرمة',
+        'compass.N': 'ش',
+        'compass.NE': 'ش ق',
+        'compass.E': 'ق',
+        'compass.SE': 'ج ق',
+        'compass.S': 'ج',
+        'compass.SW': 'ج غ',
+        'compass.W': 'غ',
+        'compass.NW': 'ش غ',
+
+        'timetable.date': 'التاريخ',
+        'timetable.print': '🖨️ طباعة',
+        'timetable.csv': 'CSV',
+        'timetable.ics': 'تقويم (.ics)',
+
+        'common.cancel': 'إلغاء',
+        'common.save': 'حفظ',
+        'common.close': 'إغلاق',
+        'common.done': 'تم',
+        'common.remove': 'حذف',
+
+        'install.text': 'أضف متتبع الصلاة إلى الشاشة الرئيسية للوصول السريع!',
+        'install.install': 'تثبيت',
+        'install.later': 'لاحقًا',
+        'update.text': 'يتوفر إصدار جديد من متتبع الصلاة.',
+        'update.reload': 'إعادة التحميل',
+
+        'hijri.date': '{day} {month} {year} هـ',
+        'hijri.month1': 'محرم',
+        'hijri.month2': 'صفر',
+        'hijri.month3': 'ربيع الأول',
+        'hijri.month4': 'ربيع الآخر',
+        'hijri.month5': 'جمادى الأولى',
+        'hijri.month6': 'جمادى الآخرة',
+        'hijri.month7': 'رجب',
+        'hijri.month8': 'شعبان',
+        'hijri.month9': 'رمضان',
+        'hijri.month10': 'شوال',
+        'hijri.month11': 'ذو القعدة',
+        'hijri.month12': 'ذو الحجة'
+    },
+
+    bn: {
+        'app.title': '🕌 সালাত ট্র্যাকার',
+        'header.settings': 'সেটিংস',
+        'header.qibla': 'কিবলা',
+        'header.loadingLocation': 'অবস্থান খোঁজা হচ্ছে...',
+        'header.profile': 'প্রোফাইল',
+        'header.family': '👪 পরিবার',
+
+        'prayer.Fajr': 'ফজর',
+        'prayer.Sunrise': 'সূর্যোদয়',
+        'prayer.Dhuhr': 'যোহর',
+        'prayer.Asr': 'আসর',
+        'prayer.Maghrib': 'মাগরিব',
+        'prayer.Isha': 'এশা',
+        'prayer.Jummah': 'জুমা',
+
+        'prayers.loading': 'নামাজের সময় লোড হচ্ছে...',
+        'card.times': 'শুরু: {start} | শেষ: {end}',
+        'card.markPrayed': 'আদায় করেছি',
+        'card.attendedJummah': 'জুমার নামাজে উপস্থিত ছিলাম',
+        'card.adhan': 'আযান {time}',
+        'card.iqamah': 'ইকামত {time}',
+        'next.in': 'পরবর্তী: {prayer} {time} পরে, {at}-এ',
+        'next.tomorrow': 'পরবর্তী: {prayer} (আগামীকাল) {at}-এ',
+        'next.iqamah': 'পরবর্তী: {prayer}-এর ইকামত {time} পরে, {at}-এ',
+        'next.iqamahTomorrow': 'পরবর্তী: {prayer}-এর ইকামত (আগামীকাল) {at}-এ',
+        'duration.hoursMinutes': '{hours} ঘ {minutes} মি',
+        'duration.minutes': '{minutes} মি',
+        'duration.days_one': '{count} দিন',
+        'duration.days_other': '{count} দিন',
+
+        'record.congregation': 'জামাত',
+        'record.where': 'কোথায়?',
+        'record.inCongregation': '🕌 জামাতে',
+        'record.alone': '🧍 একা',
+        'record.timing': 'সময়',
+        'record.when': 'কখন?',
+        'record.onTime': '⏱️ সময়মতো',
+        'record.late': '⌛ দেরিতে',
+        'record.qada': '📒 কাযা',
+        'record.marked': '{time}-এ চিহ্নিত',
+
+        'travel.qasr': '✈️ কসর: ৪ রাকাতের বদলে ২ রাকাত পড়ুন',
+        'travel.combine': '{prayer}-এর সাথে একত্রে পড়ুন (জমা)',
+        'travel.banner': '✈️ সফর মোড: {home} থেকে {distance} কিমি দূরে। যোহর, আসর ও এশায় কসর প্রযোজ্য।',
+        'travel.home': 'বাড়ি',
+
+        'forbidden.afterFajr': 'ফজরের পর',
+        'forbidden.sunrise': 'সূর্যোদয়',
+        'forbidden.zenith': 'দ্বিপ্রহর',
+        'forbidden.afterAsr': 'আসরের পর',
+        'forbidden.sunset': 'সূর্যাস্ত',
+        'forbidden.banner': '⚠️ {name}: নিষিদ্ধ সময় {end} পর্যন্ত',
+        'forbidden.ruleVoluntary': 'নফল নামাজ মাকরূহ; কাযা নামাজ পড়া যায়',
+        'forbidden.ruleHanafiSunset': 'কোনো নামাজ শুরু করা যাবে না, তবে আজকের আসর না পড়ে থাকলে পড়া যাবে',
+        'forbidden.ruleHanafi': 'কাযাসহ কোনো নামাজ শুরু করা যাবে না',
+        'forbidden.ruleShafii': 'শুধু কারণযুক্ত নামাজ, যেমন কাযা, পড়া যায়',
+
+        'voluntary.Tahajjud': 'তাহাজ্জুদ',
+        'voluntary.Fajr-before': 'আগের সুন্নত',
+        'voluntary.Duha': 'চাশত (দুহা)',
+        'voluntary.Dhuhr-before': 'আগের সুন্নত',
+        'voluntary.Dhuhr-after': 'পরের সুন্নত',
+        'voluntary.Maghrib-after': 'পরের সুন্নত',
+        'voluntary.Isha-after': 'পরের সুন্নত',
+        'voluntary.Witr': 'বিতর',
+        'voluntary.check': '{name} ({rakahs})',
+        'voluntaryStat.Fajr-before': 'ফজরের আগের সুন্নত',
+        'voluntaryStat.Dhuhr-before': 'যোহরের আগের সুন্নত',
+        'voluntaryStat.Dhuhr-after': 'যোহরের পরের সুন্নত',
+        'voluntaryStat.Maghrib-after': 'মাগরিবের পরের সুন্নত',
+        'voluntaryStat.Isha-after': 'এশার পরের সুন্নত',
+
+        'qada.title': '📒 কাযা নামাজ',
+        'qada.rate': 'প্রতিদিন প্রতিটি ওয়াক্তের কাযা',
+        'qada.opening': 'আগের বছরগুলোর প্রারম্ভিক বাকি',
+        'qada.saveBalance': 'বাকি সংরক্ষণ',
+        'qada.madeUp': '+{count} কাযা আদায়',
+        'qada.none': 'কোনো কাযা বাকি নেই',
+        'qada.summary': 'মোট বাকি {total}। আনুমানিক শেষ: {date} ({days})',
+
+        'fasting.title': '🌙 রমজানের রোজা',
+        'fasting.day': 'রমজান {year}-এর {day} তম দিন',
+        'fasting.fasting': '✓ আজ রোজা রেখেছি',
+        'fasting.notFasting': '✗ রোজা রাখিনি',
+        'fasting.summary': 'রেখেছি {fasted} · ছুটেছে {missed} · কাযা করেছি {madeUp} ·',
+        'fasting.owed': '{owed}টি কাযা বাকি',
+        'fasting.makeUp': '+{count} কাযা রোজা',
+        'fasting.taraweeh': 'তারাবিহ পড়েছি',
+        'ramadan.suhoor': '🌙 সেহরি শেষ হবে {time} পরে, {at}-এ',
+        'ramadan.iftar': '🌙 ইফতার {time} পরে, {at}-এ',
+        'ramadan.suhoorTomorrow': '🌙 সেহরি শেষ (আগামীকাল) {at}-এ',
+        'ramadan.fajr': '🌙 সেহরি শেষ, ফজর {time} পরে, {at}-এ',
+
+        'today.title': 'আজকের অগ্রগতি',
+        'today.completed': 'আদায়কৃত নামাজ',
+        'today.remaining': 'আজ বাকি',
+        'actions.statistics': '📊 পরিসংখ্যান',
+        'actions.timetable': '🗓️ মাসিক সময়সূচি',
+        'actions.backup': '💾 ব্যাকআপ ও সিঙ্ক',
+        'actions.masjid': '🕌 মসজিদের ইকামত',
+
+        'history.previous': 'আগের মাস',
+        'history.next': 'পরের মাস',
+        'history.prayed': '✓ আদায়',
+        'history.missed': '✗ ছুটেছে',
+
+        'settings.title': '⚙️ সেটিংস',
+        'settings.method': 'হিসাবের পদ্ধতি',
+        'settings.school': 'আসরের মাযহাব',
+        'settings.highLatitude': 'উচ্চ অক্ষাংশ সমন্বয়',
+        'settings.ishaEnd': 'এশার ওয়াক্ত শেষ হয়',
+        'settings.hijriCalendar': 'হিজরি ক্যালেন্ডার',
+        'settings.hijriAdjustment': 'হিজরি দিন সমন্বয় (চাঁদ দেখা)',
+        'settings.offsets': 'মিনিট সমন্বয়',
+        'school.0': 'শাফেয়ী, মালিকী, হাম্বলী',
+        'school.1': 'হানাফী',
+        'highLatitude.1': 'রাতের মধ্যভাগ',
+        'highLatitude.2': 'রাতের এক-সপ্তমাংশ',
+        'highLatitude.3': 'কোণভিত্তিক',
+        'ishaEnd.midnight': 'ইসলামি মধ্যরাতে (সূর্যাস্ত ও সূর্যোদয়ের মাঝামাঝি)',
+        'ishaEnd.halfNight': 'অর্ধরাতে (সূর্যাস্ত ও ফজরের মাঝামাঝি)',
+        'ishaEnd.fajr': 'সুবহে সাদিকে (ফজর)',
+        'hijriCalendar.ummalqura': 'উম্মুল কুরা',
+        'hijriCalendar.tabular': 'হিসাবভিত্তিক (কুয়েতি)',
+        'settings.languageTitle': 'ভাষা',
+        'settings.language': 'ভাষা',
+        'settings.timeFormat': 'সময়ের ফরম্যাট',
+        'settings.digits': 'সংখ্যা',
+        'settings.automatic': 'স্বয়ংক্রিয়',
+        'settings.hours': '{hours} ঘণ্টা',
+        'settings.nativeDigits': 'বাংলা (০–৯)',
+        'settings.latinDigits': 'ল্যাটিন (0–9)',
+        'settings.voluntaryTitle': 'নফল নামাজ',
+        'settings.trackVoluntary': 'নামাজের কার্ডে সুন্নত, বিতর, চাশত ও তাহাজ্জুদ ট্র্যাক করুন',
+        'settings.forbiddenTitle': 'নিষিদ্ধ সময়',
+        'settings.forbiddenSunrise': 'সূর্যোদয়ের পর (মিনিট)',
+        'settings.forbiddenZenith': 'দ্বিপ্রহরের আগে (মিনিট)',
+        'settings.forbiddenSunset': 'সূর্যাস্তের আগে (মিনিট)',
+        'settings.forbiddenAfterFajr': 'ফজর আদায়ের পর থেকে সূর্যোদয় পর্যন্ত সময় অন্তর্ভুক্ত করুন (নফল নামাজ)',
+        'settings.forbiddenAfterAsr': 'আসর আদায়ের পর থেকে সূর্যাস্ত পর্যন্ত সময় অন্তর্ভুক্ত করুন (নফল নামাজ)',
+
+        'reminders.title': 'রিমাইন্ডার',
+        'reminders.enable': 'নামাজের নোটিফিকেশন চালু করুন',
+        'reminders.minutesBefore': 'কত মিনিট আগে',
+        'reminders.minutesBeforeEnd': 'শেষের কত মিনিট আগে',
+        'reminders.snooze': 'স্নুজ মিনিট',
+        'reminders.adhan': 'আযানের অডিও URL (ওয়াক্ত শুরুতে বাজবে, ঐচ্ছিক)',
+        'reminders.before': 'আগে',
+        'reminders.atStart': 'শুরুতে',
+        'reminders.beforeEnd': 'শেষের আগে',
+
+        'notify.beforeTitle': '{minutes} মিনিট পরে {prayer}',
+        'notify.beforeBody': '{prayer} শুরু হবে {time}-এ',
+        'notify.startTitle': '{prayer}-এর সময় হয়েছে',
+        'notify.startBody': '{prayer} শুরু হয়েছে ({time})',
+        'notify.beforeEndTitle': '{minutes} মিনিট পরে {prayer}-এর সময় শেষ',
+        'notify.beforeEndBody': '{time}-এর আগে {prayer} আদায় করুন',
+        'notify.snooze': '{minutes} মিনিট স্নুজ',
+
+        'location.title': '📍 অবস্থান',
+        'location.search': 'শহর খুঁজুন',
+        'location.useDevice': '🛰️ আমার বর্তমান অবস্থান ব্যবহার করুন',
+        'location.savedPlaces': 'সংরক্ষিত স্থান',
+        'location.placeName': 'নাম, যেমন বাড়ি বা অফিস',
+        'location.saveCurrent': 'বর্তমানটি সংরক্ষণ',
+        'location.noPlaces': 'এখনো কোনো স্থান সংরক্ষিত নেই',
+        'location.unknown': 'অজানা',
+        'location.setHome': 'বাড়ি হিসেবে রাখুন',
+        'location.travelTitle': 'সফর মোড',
+        'location.travelDistance': 'বাড়ি থেকে এর বেশি দূরে গেলে সফর (কিমি)',
+        'location.showCombining': 'সফরে দুই নামাজ একত্রে পড়ার (জমা) সুযোগ দেখান',
+
+        'stats.title': '📊 পরিসংখ্যান',
+        'stats.currentStreak': 'বর্তমান ধারাবাহিকতা (দিন)',
+        'stats.longestStreak': 'দীর্ঘতম ধারাবাহিকতা (দিন)',
+        'stats.lastDays': 'গত {count} দিন',
+        'stats.punctuality': 'সময়ানুবর্তিতা স্কোর',
+        'stats.inCongregation': 'জামাতে',
+        'stats.counts': 'গত {days} দিন: {onTime} সময়মতো · {late} দেরিতে · {qada} কাযা',
+        'stats.byPrayer': 'ওয়াক্ত অনুযায়ী (গত {days} দিন)',
+        'stats.prayer': 'নামাজ',
+        'stats.rate': 'হার',
+        'stats.streak': 'ধারাবাহিকতা',
+        'stats.best': 'সেরা',
+        'stats.mostMissed_one': 'সবচেয়ে বেশি ছুটেছে: <strong>{prayer}</strong> ({count} বার)',
+        'stats.mostMissed_other': 'সবচেয়ে বেশি ছুটেছে: <strong>{prayer}</strong> ({count} বার)',
+        'stats.noMissed': 'কোনো ছুটে যাওয়া নামাজ নেই',
+        'stats.weeklyTrend': 'সাপ্তাহিক প্রবণতা',
+        'stats.trendLabel': 'সাপ্তাহিক আদায়ের প্রবণতা',
+        'stats.voluntary': 'সুন্নত ও নফল (গত {days} দিন)',
+
+        'family.title': '👪 পরিবার',
+        'family.note': 'প্রত্যেকের নামাজ, সেটিংস ও কাযার হিসাব আলাদা থাকে।',
+        'family.newName': 'পরিবারের সদস্যের নাম',
+        'family.add': 'যোগ করুন',
+        'family.name': 'নাম',
+        'family.current': 'বর্তমান',
+        'family.switch': 'পরিবর্তন',
+        'family.missedToday': 'আজ ছুটেছে',
+        'family.qadaOwed': 'কাযা বাকি',
+        'family.confirmRemove': '{name} ও তার সব নামাজের রেকর্ড মুছে ফেলবেন?',
+
+        'backup.title': '💾 ব্যাকআপ ও সিঙ্ক',
+        'backup.heading': 'ব্যাকআপ',
+        'backup.note': 'ইমপোর্ট করা ব্যাকআপ এই ডিভাইসের ইতিহাসের সাথে দিন ধরে মিলিয়ে নেওয়া হয়।',
+        'backup.export': 'JSON এক্সপোর্ট',
+        'backup.import': 'JSON ইমপোর্ট',
+        'backup.imported': 'ব্যাকআপ ইমপোর্ট হয়েছে। আবার লোড হচ্ছে...',
+        'backup.failed': 'ইমপোর্ট ব্যর্থ: {error}',
+        'backup.notBackup': 'এটি সালাত ট্র্যাকারের ব্যাকআপ নয়',
+        'backup.newer': 'ব্যাকআপটি অ্যাপের নতুন সংস্করণের',
+        'sync.heading': 'সিঙ্ক',
+        'sync.endpoint': 'সিঙ্ক এন্ডপয়েন্ট (সিঙ্ক বন্ধ রাখতে খালি রাখুন)',
+        'sync.token': 'টোকেন (প্রতিটি ডিভাইসে একই টোকেন দিন)',
+        'sync.save': 'সংরক্ষণ ও সিঙ্ক',
+        'sync.syncing': 'সিঙ্ক হচ্ছে...',
+        'sync.failed': 'সিঙ্ক ব্যর্থ: {error}',
+        'sync.newer': 'সিঙ্ক করা ডেটা অ্যাপের নতুন সংস্করণের',
+        'sync.busy': 'অন্য একটি ডিভাইস একই সময়ে সেভ করছে, আবার চেষ্টা করুন',
+        'sync.off': 'সিঙ্ক বন্ধ',
+        'sync.last': 'সর্বশেষ সিঙ্ক {time}',
+        'sync.never': 'এখনো সিঙ্ক হয়নি',
+
+        'masjid.title': '🕌 মসজিদের ইকামত',
+        'masjid.enabled': 'ইকামতের সময় দেখান ও তার কাউন্টডাউন করুন',
+        'masjid.name': 'মসজিদ',
+        'masjid.note': '13:30-এর মতো সময়, বা আযানের পরে মিনিট যেমন +10 লিখুন। মসজিদ যে তারিখে সময় বদলায় তার জন্য একটি সূচি যোগ করুন।',
+        'masjid.from': 'শুরু',
+        'masjid.jummah': 'জুমা (প্রতিটি খুতবার জন্য একটি সময়)',
+        'masjid.addSchedule': '+ সূচি পরিবর্তন যোগ করুন',
+        'masjid.export': 'এক্সপোর্ট',
+        'masjid.import': 'ইমপোর্ট',
+        'masjid.imported': 'সূচি ইমপোর্ট হয়েছে। দেখে নিয়ে সংরক্ষণ করুন।',
+        'masjid.invalid': 'এটি মসজিদের ইকামতের সূচি নয়',
+        'masjid.invalidTime': '{prayer}: "{value}" 13:30 বা +10-এর মতো সময় নয়',
+        'masjid.invalidDate': '"{value}" কোনো তারিখ নয়',
+
+        'qibla.title': '🧭 কিবলা',
+        'qibla.distance': 'মক্কা পর্যন্ত {distance} কিমি',
+        'qibla.facing': '✅ আপনি কিবলামুখী',
+        'qibla.turn': 'কাবা উপরে না আসা পর্যন্ত ঘুরুন',
+        'qibla.noCompass': 'এই ডিভাইসে কম্পাস নেই: প্রকৃত উত্তর থেকে কিবলা দেখানো হচ্ছে',
+        'qibla.dialLabel': 'উত্তর থেকে {degrees} ডিগ্রিতে কিবলা',
+        'qibla.mapLabel': 'মক্কার পথ',
+        'compass.N': 'উ',
+        'compass.NE': 'উপূ',
+        'compass.E': 'পূ',
+        'compass.SE': 'দপূ',
+        'compass.S': 'দ',
+        'compass.SW': 'দপ',
+        'compass.W': 'প',
+        'compass.NW': 'উপ',
+
+        'timetable.date': 'তারিখ',
+        'timetable.print': '🖨️ প্রিন্ট',
+        'timetable.csv': 'CSV',
+        'timetable.ics': 'ক্যালেন্ডার (.ics)',
+
+        'common.cancel': 'বাতিল',
+        'common.save': 'সংরক্ষণ',
+        'common.close': 'বন্ধ',
+        'common.done': 'সম্পন্ন',
+        'common.remove': 'মুছুন',
+
+        'install.text': 'দ্রুত ব্যবহারের জন্য সালাত ট্র্যাকার হোম স্ক্রিনে যোগ করুন!',
+        'install.install': 'ইনস্টল',
+        'install.later': 'পরে',
+        'update.text': 'সালাত ট্র্যাকারের নতুন সংস্করণ পাওয়া যাচ্ছে।',
+        'update.reload': 'আবার লোড',
+
+        'hijri.date': '{day} {month} {year} হিজরি',
+        'hijri.month1': 'মুহাররম',
+        'hijri.month2': 'সফর',
+        'hijri.month3': 'রবিউল আউয়াল',
+        'hijri.month4': 'রবিউস সানি',
+        'hijri.month5': 'জমাদিউল আউয়াল',
+        'hijri.month6': 'জমাদিউস সানি',
+        'hijri.month7': 'রজব',
+        'hijri.month8': 'শাবান',
+        'hijri.month9': 'রমজান',
+        'hijri.month10': 'শাওয়াল',
+        'hijri.month11': 'জিলকদ',
+        'hijri.month12': 'জিলহজ'
+    }
+};
+
+export let currentLanguage = 'en';
+let localeFormatters = {};
+
+// A language code from the settings, or the first supported browser language for 'auto'
+function resolveLanguage(choice) {
+    if (languages[choice]) {
+        return choice;
+    }
+    const preferred = navigator.languages || [navigator.language || 'en'];
+    const match = preferred.map(tag => tag.split('-')[0].toLowerCase()).find(code => languages[code]);
+    return match || 'en';
+}
+
+// Switch the interface language and direction, then translate the static page
+export function applyLanguage() {
+    currentLanguage = resolveLanguage(settings.language);
+    localeFormatters = {};
+
+    const root = document.documentElement;
+    root.lang = currentLanguage;
+    root.dir = languages[currentLanguage].dir;
+
+    translatePage();
+}
+
+// Fill elements marked with data-i18n (text), data-i18n-placeholder and data-i18n-label (aria-label)
+function translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+    root.querySelectorAll('[data-i18n-label]').forEach(element => {
+        element.setAttribute('aria-label', t(element.dataset.i18nLabel));
+    });
+}
+
+// Translate a key, choosing the plural form from `params.count` when given
+export function t(key, params = {}) {
+    const catalog = translations[currentLanguage];
+    const english = translations.en;
+
+    // Plural forms are stored as key_one, key_few, key_other and so on
+    const candidates = typeof params.count === 'number' ?
+        [`${key}_${getFormatter('plural').select(params.count)}`, `${key}_other`, key] :
+        [key];
+    const text = candidates.map(candidate => catalog[candidate]).find(Boolean) ||
+        candidates.map(candidate => english[candidate]).find(Boolean) ||
+        key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => {
+        const value = params[name];
+        if (value === undefined) {
+            return match;
+        }
+        // Years and counts read better without thousands separators
+        return typeof value === 'number' ? formatNumber(value, { useGrouping: false }) : value;
+    });
+}
+
+export function prayerLabel(prayer) {
+    return t(`prayer.${prayer}`);
+}
+
+// Locale tag with the chosen digits, e.g. "ar-u-nu-arab" or "ar-u-nu-latn"
+function getLocale() {
+    const language = languages[currentLanguage];
+    const digits = settings.digits === 'latin' ? 'latn' : language.digits;
+    return `${language.locale}-u-nu-${digits}`;
+}
+
+// Hour cycle for Intl time formats; nothing leaves the language's own default
+function getHourCycle() {
+    return { '12': { hourCycle: 'h12' }, '24': { hourCycle: 'h23' } }[settings.timeFormat] || {};
+}
+
+// Intl formatters are cached until the language or format settings change
+function getFormatter(type, options = {}) {
+    const key = `${type}|${JSON.stringify(options)}`;
+    if (!localeFormatters[key]) {
+        const Formatter = { number: Intl.NumberFormat, date: Intl.DateTimeFormat, plural: Intl.PluralRules }[type];
+        localeFormatters[key] = new Formatter(getLocale(), options);
+    }
+    return localeFormatters[key];
+}
+
+export function formatNumber(value, options = {}) {
+    return getFormatter('number', options).format(value);
+}
+
+export function formatPercent(rate) {
+    return rate === null ? '–' : formatNumber(rate, { style: 'percent' });
+}
+
+// Format an instant, showing times with the chosen hour cycle
+export function formatDateTime(date, options) {
+    const withHours = options.hour || options.timeStyle ? { ...options, ...getHourCycle() } : options;
+    return getFormatter('date', withHours).format(date);
+}
+
+// Settings panel fields
+export function renderLanguageSettings() {
+    const option = (value, label, current) =>
+        `<option value="${value}" ${value === current ? 'selected' : ''}>${label}</option>`;
+
+    document.getElementById('settingLanguage').innerHTML = [
+        option('auto', t('settings.automatic'), settings.language),
+        ...Object.keys(languages).map(code => option(code, languages[code].name, settings.language))
+    ].join('');
+    document.getElementById('settingTimeFormat').innerHTML = [
+        option('auto', t('settings.automatic'), settings.timeFormat),
+        option('12', t('settings.hours', { hours: 12 }), settings.timeFormat),
+        option('24', t('settings.hours', { hours: 24 }), settings.timeFormat)
+    ].join('');
+    document.getElementById('settingDigits').innerHTML = [
+        option('native', t('settings.nativeDigits'), settings.digits),
+        option('latin', t('settings.latinDigits'), settings.digits)
+    ].join('');
+}
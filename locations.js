@@ -0,0 +1,278 @@
+// Location search, saved places and travel mode
+
+import { offlineCities } from './cities.js';
+import { fetchResource } from './env.js';
+import { displayHistoryCalendar } from './history.js';
+import { currentLanguage, formatNumber, t } from './i18n.js';
+import { displayPrayerTimes, displayQadaLedger, escapeHtml, updatePrayerStatus } from './render.js';
+import { getStoredValue, setPrayerCompleted, updateStoredValue } from './storage.js';
+import { getDeviceTimeZone, locationTimeZone, setTimeZone } from './timezone.js';
+import { currentLocation, fetchPrayerTimes, getLocation, prayerTimesDateKey } from './today.js';
+
+export let isTravelling = false;
+let travelDistance = 0;
+let locationSearchResults = [];
+let locationSearchTimer = null;
+
+export function getLocationSettings() {
+    return getStoredValue('location');
+}
+
+export function getHomePlace() {
+    return getLocationSettings().places.find(place => place.isHome) || null;
+}
+
+// Great-circle distance in kilometres
+export function distanceKm(from, to) {
+    const earthRadius = 6371;
+    const dLat = (to.lat - from.lat) * Math.PI / 180;
+    const dLon = (to.lon - from.lon) * Math.PI / 180;
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(from.lat * Math.PI / 180) * Math.cos(to.lat * Math.PI / 180) * Math.sin(dLon / 2) ** 2;
+    return 2 * earthRadius * Math.asin(Math.sqrt(a));
+}
+
+// Travel mode is on while further than the configured distance from home
+export function updateTravelMode() {
+    const home = getHomePlace();
+    const wasTravelling = isTravelling;
+
+    travelDistance = home ? distanceKm(home, currentLocation) : 0;
+    isTravelling = Boolean(home) && travelDistance > getLocationSettings().travelDistanceKm;
+
+    const banner = document.getElementById('travelBanner');
+    banner.textContent = t('travel.banner', {
+        distance: formatNumber(Math.round(travelDistance)),
+        home: home ? home.name : t('travel.home')
+    });
+    banner.classList.toggle('show', isTravelling);
+
+    return wasTravelling !== isTravelling;
+}
+
+// The bundled city in the device's time zone, else Makkah, for when no position is known
+export function getDefaultCity() {
+    const timeZone = getDeviceTimeZone();
+    return offlineCities.find(city => city.timeZone === timeZone) ||
+        offlineCities.find(city => city.name === 'Makkah');
+}
+
+// Search the bundled city list
+function searchOfflineCities(query) {
+    const q = query.trim().toLowerCase();
+    return offlineCities
+        .filter(city => city.name.toLowerCase().startsWith(q) || city.country.toLowerCase().startsWith(q))
+        .slice(0, 5)
+        .map(city => ({ name: `${city.name}, ${city.country}`, lat: city.lat, lon: city.lon, timeZone: city.timeZone }));
+}
+
+// Forward geocoding through Nominatim
+async function searchOnlinePlaces(query) {
+    try {
+        const response = await fetchResource(
+            `https://nominatim.openstreetmap.org/search?q=${encodeURIComponent(query)}&format=json&limit=5&addressdetails=1` +
+            `&accept-language=${currentLanguage}`
+        );
+        const data = await response.json();
+        return data.map(item => {
+            const address = item.address || {};
+            const city = address.city || address.town || address.village || item.name;
+            return {
+                name: address.country ? `${city}, ${address.country}` : item.display_name,
+                lat: Number(item.lat),
+                lon: Number(item.lon)
+            };
+        });
+    } catch (error) {
+        console.log('Online location search unavailable');
+        return [];
+    }
+}
+
+// Switch to a chosen location and reload its prayer times
+async function selectLocation(place) {
+    updateStoredValue('location', locationSettings => {
+        locationSettings.selected = { name: place.name, lat: place.lat, lon: place.lon, timeZone: place.timeZone };
+    });
+
+    currentLocation.lat = place.lat;
+    currentLocation.lon = place.lon;
+    // Online results have no zone until the prayer times API reports it
+    setTimeZone(place.timeZone || getDeviceTimeZone());
+    document.getElementById('location').textContent = place.name;
+
+    updateTravelMode();
+    closeLocationPanel();
+    await fetchPrayerTimes();
+}
+
+export function selectSearchResult(index) {
+    return selectLocation(locationSearchResults[index]);
+}
+
+export function selectSavedPlace(index) {
+    return selectLocation(getLocationSettings().places[index]);
+}
+
+export async function useDeviceLocation() {
+    updateStoredValue('location', locationSettings => {
+        locationSettings.selected = null;
+    });
+
+    closeLocationPanel();
+    await getLocation();
+    updateTravelMode();
+    await fetchPrayerTimes();
+}
+
+// Remember the zone the prayer times API reported for the selected place
+export function setLocationTimeZone(timeZone) {
+    setTimeZone(timeZone);
+
+    if (getLocationSettings().selected) {
+        updateStoredValue('location', locationSettings => {
+            locationSettings.selected.timeZone = timeZone;
+        });
+    }
+}
+
+// Location panel
+export function openLocationPanel() {
+    document.getElementById('locationSearch').value = '';
+    document.getElementById('locationResults').innerHTML = '';
+    displaySavedPlaces();
+    document.getElementById('locationPanel').classList.add('show');
+}
+
+export function closeLocationPanel() {
+    document.getElementById('locationPanel').classList.remove('show');
+}
+
+// Show bundled matches immediately and add online results once typing pauses
+export function onLocationSearch() {
+    const query = document.getElementById('locationSearch').value;
+    clearTimeout(locationSearchTimer);
+
+    if (query.trim().length < 2) {
+        locationSearchResults = [];
+        displaySearchResults();
+        return;
+    }
+
+    locationSearchResults = searchOfflineCities(query);
+    displaySearchResults();
+
+    locationSearchTimer = setTimeout(async () => {
+        const online = await searchOnlinePlaces(query);
+        const known = new Set(locationSearchResults.map(place => place.name));
+        locationSearchResults = [
+            ...locationSearchResults,
+            ...online.filter(place => !known.has(place.name))
+        ];
+        displaySearchResults();
+    }, 500);
+}
+
+function displaySearchResults() {
+    document.getElementById('locationResults').innerHTML = locationSearchResults.map((place, index) => `
+                    <button class="location-result" onclick="selectSearchResult(${index})">
+                        📍 ${escapeHtml(place.name)}
+                    </button>
+                `).join('');
+}
+
+function displaySavedPlaces() {
+    const locationSettings = getLocationSettings();
+
+    let html = '';
+    locationSettings.places.forEach((place, index) => {
+        html += `
+                    <div class="saved-place">
+                        <button class="saved-place-name" onclick="selectSavedPlace(${index})">
+                            ${place.isHome ? '🏠' : '📍'} ${escapeHtml(place.name)}
+                            <small>${escapeHtml(place.label)}</small>
+                        </button>
+                        <button onclick="setHomePlace(${index})" ${place.isHome ? 'disabled' : ''}>${t('location.setHome')}</button>
+                        <button onclick="removePlace(${index})" aria-label="${t('common.remove')}">✕</button>
+                    </div>
+                `;
+    });
+    document.getElementById('savedPlaces').innerHTML = html || `<p class="empty-note">${t('location.noPlaces')}</p>`;
+
+    document.getElementById('travelDistance').value = locationSettings.travelDistanceKm;
+    document.getElementById('showCombining').checked = locationSettings.showCombining;
+}
+
+// Save the current location under a name such as Home or Work
+export function saveCurrentPlace() {
+    const input = document.getElementById('placeName');
+    const name = input.value.trim();
+    if (!name) {
+        return;
+    }
+
+    updateStoredValue('location', locationSettings => {
+        locationSettings.places.push({
+            name,
+            label: document.getElementById('location').textContent,
+            lat: currentLocation.lat,
+            lon: currentLocation.lon,
+            timeZone: locationTimeZone,
+            // The first place named Home becomes home
+            isHome: name.toLowerCase() === 'home' && !locationSettings.places.some(place => place.isHome)
+        });
+    });
+
+    input.value = '';
+    displaySavedPlaces();
+    refreshTravelMode();
+}
+
+export function setHomePlace(index) {
+    updateStoredValue('location', locationSettings => {
+        locationSettings.places.forEach((place, i) => {
+            place.isHome = i === index;
+        });
+    });
+    displaySavedPlaces();
+    refreshTravelMode();
+}
+
+export function removePlace(index) {
+    updateStoredValue('location', locationSettings => {
+        locationSettings.places.splice(index, 1);
+    });
+    displaySavedPlaces();
+    refreshTravelMode();
+}
+
+export function saveTravelSettings() {
+    updateStoredValue('location', locationSettings => {
+        locationSettings.travelDistanceKm = Math.max(1, parseInt(document.getElementById('travelDistance').value) || 80);
+        locationSettings.showCombining = document.getElementById('showCombining').checked;
+    });
+    updateTravelMode();
+    displayPrayerTimes();
+    updatePrayerStatus();
+}
+
+// Re-render the cards when travel mode switches on or off
+function refreshTravelMode() {
+    if (updateTravelMode()) {
+        displayPrayerTimes();
+        updatePrayerStatus();
+    }
+}
+
+// Pray two prayers together (jam') while travelling
+export function combinePrayers(first, second) {
+    const todayKey = prayerTimesDateKey;
+    // Combining is permitted while travelling, so both count as on time
+    setPrayerCompleted(todayKey, first, true, { timing: 'on-time' });
+    setPrayerCompleted(todayKey, second, true, { timing: 'on-time' });
+
+    displayPrayerTimes();
+    updatePrayerStatus();
+    displayQadaLedger();
+    displayHistoryCalendar();
+}
@@ -0,0 +1,271 @@
+// Masjid iqamah schedule
+// Iqamah times are entered per prayer as a fixed "HH:MM" time or as minutes after
+// the adhan ("+10"), with one time for each Jummah khutbah. Masjids change their
+// times through the year, so each schedule applies from its date until the next
+// one starts; a schedule without a date applies before any dated one.
+
+import { prayerLabel, t } from './i18n.js';
+import { displayPrayerTimes, updatePrayerStatus } from './render.js';
+import { getStoredValue, setStoredValue } from './storage.js';
+import { getNextDayTime, getPrayersForDate, getStartTime, minutesToTime, timeToMinutes } from './time.js';
+import { downloadFile, formatIsoDate } from './timetable.js';
+import { getLocationDate, timeToInstant } from './timezone.js';
+
+const IQAMAH_PRAYERS = ['Fajr', 'Dhuhr', 'Asr', 'Maghrib', 'Isha'];
+
+function createMasjidSettings() {
+    return {
+        enabled: false,
+        name: '',
+        schedules: [createSchedule(null)]
+    };
+}
+
+function createSchedule(from) {
+    return {
+        from, // "YYYY-MM-DD" the schedule starts on, or null
+        iqamah: { Fajr: '', Dhuhr: '', Asr: '', Maghrib: '', Isha: '' },
+        jummah: [] // One iqamah for each khutbah
+    };
+}
+
+export function getMasjidSettings() {
+    return getStoredValue('masjid') || createMasjidSettings();
+}
+
+// The schedule in force on a date: the latest to have started by then
+export function getScheduleForDate(masjid, date) {
+    const day = formatIsoDate(date);
+    return masjid.schedules
+        .filter(schedule => !schedule.from || schedule.from <= day)
+        .sort((a, b) => (a.from || '').localeCompare(b.from || ''))
+        .pop() || null;
+}
+
+// An entered iqamah as an "HH:MM" time, fixed or counted from the adhan
+// A fixed time more than half a day before its adhan is after midnight, past "24:00"
+export function resolveIqamahTime(value, adhan) {
+    if (!value) {
+        return null;
+    }
+    if (value.startsWith('+')) {
+        return minutesToTime(timeToMinutes(adhan) + Number(value.slice(1)));
+    }
+    if (timeToMinutes(adhan) - timeToMinutes(value) > 12 * 60) {
+        return getNextDayTime(value);
+    }
+    return minutesToTime(timeToMinutes(value));
+}
+
+export function isIqamahValue(value) {
+    return /^(\+\d{1,3}|([01]?\d|2[0-3]):[0-5]\d)$/.test(value);
+}
+
+// Iqamah times for a day's prayer times, with the next morning's Fajr as
+// NextFajr, or null while the schedule is turned off
+export function getIqamahTimes(masjid, date, times) {
+    if (!masjid.enabled) {
+        return null;
+    }
+
+    const schedule = getScheduleForDate(masjid, date);
+    const nextSchedule = getScheduleForDate(masjid, new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1));
+    const iqamah = {};
+
+    IQAMAH_PRAYERS.forEach(prayer => {
+        iqamah[prayer] = schedule ? resolveIqamahTime(schedule.iqamah[prayer], times[prayer]) : null;
+    });
+    // Khutbahs in the order they are held, however they were entered
+    iqamah.Jummah = schedule ?
+        schedule.jummah
+            .map(value => resolveIqamahTime(value, times.Dhuhr))
+            .sort((a, b) => timeToMinutes(a) - timeToMinutes(b)) :
+        [];
+    iqamah.NextFajr = nextSchedule && times.NextFajr ?
+        resolveIqamahTime(nextSchedule.iqamah.Fajr, times.NextFajr) :
+        null;
+
+    return iqamah;
+}
+
+// A prayer's iqamah times; Jummah has one for each khutbah
+export function getPrayerIqamahs(prayer, iqamah) {
+    if (prayer === 'Jummah') {
+        return iqamah.Jummah;
+    }
+    return iqamah[prayer] ? [iqamah[prayer]] : [];
+}
+
+// The next prayer to gather for after `now`, as { prayer, time, iqamah }: the
+// time is the iqamah, or the adhan for a prayer without one. The next day's
+// Fajr comes last, its time past "24:00".
+export function getNextIqamah(date, times, iqamah, now, timeZone) {
+    const slots = [];
+    getPrayersForDate(date).forEach(prayer => {
+        const iqamahs = getPrayerIqamahs(prayer, iqamah);
+        if (iqamahs.length) {
+            iqamahs.forEach(time => slots.push({ prayer, time, iqamah: true }));
+        } else {
+            slots.push({ prayer, time: getStartTime(prayer, times), iqamah: false });
+        }
+    });
+    slots.push(iqamah.NextFajr ?
+        { prayer: 'Fajr', time: getNextDayTime(iqamah.NextFajr), iqamah: true } :
+        { prayer: 'Fajr', time: getNextDayTime(times.NextFajr || times.Fajr), iqamah: false });
+
+    return slots.find(slot => now < timeToInstant(date, slot.time, timeZone)) || null;
+}
+
+// Check entered or imported settings and bring them to the stored shape
+export function normalizeMasjidSettings(data) {
+    if (!data || !Array.isArray(data.schedules) || !data.schedules.length) {
+        throw new Error(t('masjid.invalid'));
+    }
+
+    const checkTime = (value, prayer) => {
+        if (!isIqamahValue(value)) {
+            throw new Error(t('masjid.invalidTime', { prayer: prayerLabel(prayer), value }));
+        }
+    };
+
+    return {
+        enabled: data.enabled !== false,
+        name: String(data.name || '').trim(),
+        schedules: data.schedules.map(schedule => {
+            const from = schedule.from || null;
+            if (from && !/^\d{4}-\d{2}-\d{2}$/.test(from)) {
+                throw new Error(t('masjid.invalidDate', { value: from }));
+            }
+
+            const iqamah = {};
+            IQAMAH_PRAYERS.forEach(prayer => {
+                const value = String((schedule.iqamah && schedule.iqamah[prayer]) || '').trim();
+                if (value) {
+                    checkTime(value, prayer);
+                }
+                iqamah[prayer] = value;
+            });
+
+            const jummah = (schedule.jummah || []).map(value => String(value).trim()).filter(Boolean);
+            jummah.forEach(value => checkTime(value, 'Jummah'));
+
+            return { from, iqamah, jummah };
+        })
+    };
+}
+
+// Masjid panel
+export function openMasjid() {
+    renderMasjidForm(getMasjidSettings());
+    document.getElementById('masjidStatus').textContent = '';
+    document.getElementById('masjidPanel').classList.add('show');
+}
+
+export function closeMasjid() {
+    document.getElementById('masjidPanel').classList.remove('show');
+}
+
+function renderMasjidForm(masjid) {
+    document.getElementById('masjidEnabled').checked = masjid.enabled;
+    document.getElementById('masjidName').value = masjid.name;
+
+    document.getElementById('masjidSchedules').innerHTML = masjid.schedules.map((schedule, index) => `
+                <div class="masjid-schedule">
+                    <div class="family-member-header">
+                        <label class="setting-row">
+                            <span>${t('masjid.from')}</span>
+                            <input type="date" id="masjidFrom-${index}" value="${schedule.from || ''}">
+                        </label>
+                        <button onclick="removeMasjidSchedule(${index})" aria-label="${t('common.remove')}"
+                            ${masjid.schedules.length === 1 ? 'disabled' : ''}>✕</button>
+                    </div>
+                    <div class="offsets-grid">
+                        ${IQAMAH_PRAYERS.map(prayer => `
+                        <label class="offset-item">
+                            <span>${prayerLabel(prayer)}</span>
+                            <input type="text" id="iqamah-${index}-${prayer}" value="${schedule.iqamah[prayer]}"
+                                placeholder="13:30 / +10">
+                        </label>
+                        `).join('')}
+                    </div>
+                    <label class="setting-row">
+                        <span>${t('masjid.jummah')}</span>
+                        <input type="text" id="masjidJummah-${index}" value="${schedule.jummah.join(', ')}"
+                            placeholder="13:15, 14:15">
+                    </label>
+                </div>
+            `).join('');
+}
+
+// The form as entered, before it is checked
+function readMasjidForm() {
+    const schedules = [...document.querySelectorAll('.masjid-schedule')].map((element, index) => {
+        const iqamah = {};
+        IQAMAH_PRAYERS.forEach(prayer => {
+            iqamah[prayer] = document.getElementById(`iqamah-${index}-${prayer}`).value;
+        });
+        const jummah = document.getElementById(`masjidJummah-${index}`).value;
+        return {
+            from: document.getElementById(`masjidFrom-${index}`).value || null,
+            iqamah,
+            jummah: jummah.split(',').map(value => value.trim()).filter(Boolean)
+        };
+    });
+
+    return {
+        enabled: document.getElementById('masjidEnabled').checked,
+        name: document.getElementById('masjidName').value,
+        schedules
+    };
+}
+
+// A new schedule starts today, for when the masjid changes its times
+export function addMasjidSchedule() {
+    const masjid = readMasjidForm();
+    masjid.schedules.push(createSchedule(formatIsoDate(getLocationDate())));
+    renderMasjidForm(masjid);
+}
+
+export function removeMasjidSchedule(index) {
+    const masjid = readMasjidForm();
+    masjid.schedules.splice(index, 1);
+    renderMasjidForm(masjid);
+}
+
+export function saveMasjid() {
+    try {
+        setStoredValue('masjid', normalizeMasjidSettings(readMasjidForm()));
+    } catch (error) {
+        document.getElementById('masjidStatus').textContent = error.message;
+        return;
+    }
+
+    closeMasjid();
+    displayPrayerTimes();
+    updatePrayerStatus();
+}
+
+// Share the schedule as a file others can import
+export function exportMasjid() {
+    try {
+        const masjid = normalizeMasjidSettings(readMasjidForm());
+        const file = { app: 'salat-tracker-masjid', masjid };
+        downloadFile('masjid-iqamah.json', JSON.stringify(file, null, 2), 'application/json');
+    } catch (error) {
+        document.getElementById('masjidStatus').textContent = error.message;
+    }
+}
+
+// Load a schedule file into the form, to be checked and saved
+export async function importMasjid(file) {
+    const status = document.getElementById('masjidStatus');
+
+    try {
+        const data = JSON.parse(await file.text());
+        renderMasjidForm(normalizeMasjidSettings(data.masjid || data));
+        status.textContent = t('masjid.imported');
+    } catch (error) {
+        console.error('Import failed:', error);
+        status.textContent = t('backup.failed', { error: error.message });
+    }
+}
@@ -0,0 +1,237 @@
+// Adhan reminders and pre-prayer notifications
+// Reminders are handed to the service worker with a timestamp trigger where the
+// browser supports it, so they arrive with the app closed. Otherwise they are
+// shown from timers while the page is open.
+
+import { now } from './env.js';
+import { prayerLabel, t } from './i18n.js';
+import { formatTime } from './render.js';
+import { getStoredValue, setStoredValue } from './storage.js';
+import { getEndTime, getNextDayTime, getPrayersForDate, getStartTime } from './time.js';
+import { getPrayerDate, getPrayerInstant, prayerTimes } from './today.js';
+
+const defaultReminders = {
+    enabled: false,
+    minutesBefore: 10,
+    minutesBeforeEnd: 15,
+    snoozeMinutes: 5,
+    adhanUrl: '',
+    prayers: {
+        Fajr: { before: false, start: true, beforeEnd: false },
+        Dhuhr: { before: false, start: true, beforeEnd: false },
+        Asr: { before: false, start: true, beforeEnd: false },
+        Maghrib: { before: false, start: true, beforeEnd: false },
+        Isha: { before: false, start: true, beforeEnd: false }
+    }
+};
+
+let reminderTimers = [];
+let adhanAudio = null;
+
+function getReminderSettings() {
+    return getStoredValue('reminders') || defaultReminders;
+}
+
+// Whether the service worker can show notifications at a future time
+function supportsTriggeredNotifications() {
+    return 'showTrigger' in Notification.prototype && typeof TimestampTrigger !== 'undefined';
+}
+
+// Reminder events for the loaded day's remaining prayers and the next day's Fajr,
+// which starts before the next day's times are loaded
+function getReminderEvents(instant = now()) {
+    const reminders = getReminderSettings();
+    const events = [];
+    const slots = getPrayersForDate(getPrayerDate()).map(prayer => ({
+        prayer,
+        startTime: getStartTime(prayer, prayerTimes),
+        endTime: getEndTime(prayer, prayerTimes)
+    }));
+    slots.push({
+        prayer: 'Fajr',
+        startTime: getNextDayTime(prayerTimes.NextFajr),
+        endTime: getNextDayTime(prayerTimes.NextSunrise)
+    });
+
+    slots.forEach(({ prayer, startTime, endTime }) => {
+        const slot = prayer === 'Jummah' ? 'Dhuhr' : prayer;
+        const options = reminders.prayers[slot];
+        const start = getPrayerInstant(startTime);
+        const end = getPrayerInstant(endTime);
+
+        if (options.before) {
+            events.push({
+                prayer,
+                type: 'before',
+                at: new Date(start.getTime() - reminders.minutesBefore * 60000),
+                title: t('notify.beforeTitle', { prayer: prayerLabel(prayer), minutes: reminders.minutesBefore }),
+                body: t('notify.beforeBody', { prayer: prayerLabel(prayer), time: formatTime(startTime) })
+            });
+        }
+        if (options.start) {
+            events.push({
+                prayer,
+                type: 'start',
+                at: start,
+                title: t('notify.startTitle', { prayer: prayerLabel(prayer) }),
+                body: t('notify.startBody', { prayer: prayerLabel(prayer), time: formatTime(startTime) })
+            });
+        }
+        if (options.beforeEnd) {
+            events.push({
+                prayer,
+                type: 'beforeEnd',
+                at: new Date(end.getTime() - reminders.minutesBeforeEnd * 60000),
+                title: t('notify.beforeEndTitle', { prayer: prayerLabel(prayer), minutes: reminders.minutesBeforeEnd }),
+                body: t('notify.beforeEndBody', { prayer: prayerLabel(prayer), time: formatTime(endTime) })
+            });
+        }
+    });
+
+    return events.filter(event => event.at > instant);
+}
+
+// Schedule the loaded day's reminders, replacing any scheduled before
+export async function scheduleReminders() {
+    reminderTimers.forEach(timer => clearTimeout(timer));
+    reminderTimers = [];
+
+    const reminders = getReminderSettings();
+    if (!reminders.enabled || !('Notification' in window) || Notification.permission !== 'granted') {
+        return;
+    }
+
+    const events = getReminderEvents();
+    const registration = 'serviceWorker' in navigator ?
+        await navigator.serviceWorker.getRegistration() :
+        null;
+    const useTriggers = registration && supportsTriggeredNotifications();
+
+    if (useTriggers) {
+        // Replace triggers scheduled earlier that have not fired yet
+        const scheduled = await registration.getNotifications({ includeTriggered: true });
+        scheduled
+            .filter(notification => notification.showTrigger && notification.showTrigger.timestamp > now().getTime())
+            .forEach(notification => notification.close());
+    }
+
+    events.forEach(event => {
+        if (useTriggers) {
+            registration.showNotification(event.title, {
+                ...getNotificationOptions(event, reminders),
+                showTrigger: new TimestampTrigger(event.at.getTime())
+            });
+        }
+
+        // Page timers show the notification without triggers, and play the adhan either way
+        reminderTimers.push(setTimeout(() => {
+            if (!useTriggers) {
+                showReminder(event);
+            }
+            if (event.type === 'start') {
+                playAdhan();
+            }
+        }, event.at.getTime() - now().getTime()));
+    });
+}
+
+// Snooze is offered where the service worker can schedule the reminder again
+function getNotificationOptions(event, reminders) {
+    const options = {
+        body: event.body,
+        tag: `${event.prayer}-${event.type}`,
+        icon: 'praying-192.png',
+        badge: 'praying-192.png',
+        data: { snoozeMinutes: reminders.snoozeMinutes }
+    };
+    if (supportsTriggeredNotifications()) {
+        options.actions = [{ action: 'snooze', title: t('notify.snooze', { minutes: reminders.snoozeMinutes }) }];
+    }
+    return options;
+}
+
+async function showReminder(event) {
+    const options = getNotificationOptions(event, getReminderSettings());
+    const registration = 'serviceWorker' in navigator ?
+        await navigator.serviceWorker.getRegistration() :
+        null;
+
+    if (registration) {
+        registration.showNotification(event.title, options);
+    } else {
+        // Notifications created by the page cannot have action buttons
+        delete options.actions;
+        new Notification(event.title, options);
+    }
+}
+
+function playAdhan() {
+    const { adhanUrl } = getReminderSettings();
+    if (!adhanUrl) {
+        return;
+    }
+
+    if (adhanAudio) {
+        adhanAudio.pause();
+    }
+    adhanAudio = new Audio(adhanUrl);
+    adhanAudio.play().catch(error => console.log('Adhan playback blocked:', error));
+}
+
+// Reminder fields in the settings panel
+export function renderReminderSettings() {
+    const reminders = getReminderSettings();
+
+    document.getElementById('reminderEnabled').checked = reminders.enabled;
+    document.getElementById('reminderMinutesBefore').value = reminders.minutesBefore;
+    document.getElementById('reminderMinutesBeforeEnd').value = reminders.minutesBeforeEnd;
+    document.getElementById('reminderSnooze').value = reminders.snoozeMinutes;
+    document.getElementById('reminderAdhanUrl').value = reminders.adhanUrl;
+
+    let html = `
+                <tr>
+                    <th></th>
+                    <th>${t('reminders.before')}</th>
+                    <th>${t('reminders.atStart')}</th>
+                    <th>${t('reminders.beforeEnd')}</th>
+                </tr>
+            `;
+    Object.keys(reminders.prayers).forEach(prayer => {
+        const options = reminders.prayers[prayer];
+        html += `
+                    <tr>
+                        <td>${prayerLabel(prayer)}</td>
+                        <td><input type="checkbox" id="reminder-${prayer}-before" ${options.before ? 'checked' : ''}></td>
+                        <td><input type="checkbox" id="reminder-${prayer}-start" ${options.start ? 'checked' : ''}></td>
+                        <td><input type="checkbox" id="reminder-${prayer}-beforeEnd" ${options.beforeEnd ? 'checked' : ''}></td>
+                    </tr>
+                `;
+    });
+    document.getElementById('reminderPrayers').innerHTML = html;
+}
+
+export async function saveReminderSettings() {
+    const prayers = {};
+    Object.keys(defaultReminders.prayers).forEach(prayer => {
+        prayers[prayer] = {
+            before: document.getElementById(`reminder-${prayer}-before`).checked,
+            start: document.getElementById(`reminder-${prayer}-start`).checked,
+            beforeEnd: document.getElementById(`reminder-${prayer}-beforeEnd`).checked
+        };
+    });
+
+    const reminders = {
+        enabled: document.getElementById('reminderEnabled').checked,
+        minutesBefore: Math.max(1, parseInt(document.getElementById('reminderMinutesBefore').value) || 10),
+        minutesBeforeEnd: Math.max(1, parseInt(document.getElementById('reminderMinutesBeforeEnd').value) || 15),
+        snoozeMinutes: Math.max(1, parseInt(document.getElementById('reminderSnooze').value) || 5),
+        adhanUrl: document.getElementById('reminderAdhanUrl').value.trim(),
+        prayers
+    };
+
+    if (reminders.enabled && 'Notification' in window && Notification.permission === 'default') {
+        await Notification.requestPermission();
+    }
+
+    setStoredValue('reminders', reminders);
+}
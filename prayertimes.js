@@ -0,0 +1,201 @@
+// Offline prayer time calculation
+// Uses the approximate solar position algorithm from the U.S. Naval Observatory,
+// the same approach PrayTimes.org and the Aladhan API are built on.
+
+// Calculation methods keyed by their Aladhan API method id
+export const calculationMethods = {
+    1: { name: 'University of Islamic Sciences, Karachi', fajr: 18, isha: 18 },
+    2: { name: 'Islamic Society of North America (ISNA)', fajr: 15, isha: 15 },
+    3: { name: 'Muslim World League', fajr: 18, isha: 17 },
+    4: { name: 'Umm al-Qura University, Makkah', fajr: 18.5, ishaMinutes: 90 },
+    5: { name: 'Egyptian General Authority of Survey', fajr: 19.5, isha: 17.5 }
+};
+
+// Asr shadow length factor keyed by Aladhan API school id
+export const asrSchools = {
+    0: { name: 'Shafi\'i, Maliki, Hanbali', factor: 1 },
+    1: { name: 'Hanafi', factor: 2 }
+};
+
+// Fajr/Isha adjustment for high latitudes keyed by Aladhan API latitudeAdjustmentMethod id
+export const highLatitudeRules = {
+    1: { name: 'Middle of the night' },
+    2: { name: 'One-seventh of the night' },
+    3: { name: 'Angle-based' }
+};
+
+// Angle of the sun below the horizon at sunrise and sunset (refraction + disc radius)
+const RISE_SET_ANGLE = 0.833;
+
+// Where the sun does not rise or set, or stays too low for Asr, times follow
+// the nearest latitude where it does every day of the year (aqrab al-bilad)
+const NEAREST_LATITUDE = 65;
+
+// Calculate the day's prayer times for a location, returned as "HH:MM" strings
+export function calculatePrayerTimes(date, lat, lon, options = {}) {
+    const method = calculationMethods[options.method ?? 2];
+    const school = asrSchools[options.school ?? 1];
+    const highLatitudeRule = options.highLatitudeRule ?? 3;
+    const offsets = options.offsets || {};
+    const timezone = options.timezone ?? getTimezoneHours(date);
+    const jDate = julianDate(date.getFullYear(), date.getMonth() + 1, date.getDate()) - lon / (15 * 24);
+
+    let times = solarTimes(jDate, lat, method, school);
+    if (['Sunrise', 'Asr', 'Sunset'].some(name => isNaN(times[name]))) {
+        times = solarTimes(jDate, Math.sign(lat) * NEAREST_LATITUDE, method, school);
+    }
+
+    // Convert from local solar time to the requested timezone
+    Object.keys(times).forEach(name => {
+        times[name] += timezone - lon / 15;
+    });
+
+    if (method.ishaMinutes) {
+        times.Isha = times.Sunset + method.ishaMinutes / 60;
+    }
+
+    adjustHighLatitudes(times, method, highLatitudeRule);
+
+    const minutes = (name) => (offsets[name] || 0) / 60;
+    return {
+        Fajr: formatHours(times.Fajr + minutes('Fajr')),
+        Sunrise: formatHours(times.Sunrise),
+        Dhuhr: formatHours(times.Dhuhr + minutes('Dhuhr')),
+        Asr: formatHours(times.Asr + minutes('Asr')),
+        Maghrib: formatHours(times.Sunset + minutes('Maghrib')),
+        Isha: formatHours(times.Isha + minutes('Isha'))
+    };
+}
+
+// Times in local solar hours; Fajr and Isha are NaN where twilight never ends
+function solarTimes(jDate, lat, method, school) {
+    // First approximation of each time as a portion of the day
+    const portions = {
+        Fajr: 5 / 24,
+        Sunrise: 6 / 24,
+        Dhuhr: 12 / 24,
+        Asr: 13 / 24,
+        Sunset: 18 / 24,
+        Isha: 18 / 24
+    };
+
+    return {
+        Fajr: sunAngleTime(jDate, lat, method.fajr, portions.Fajr, true),
+        Sunrise: sunAngleTime(jDate, lat, RISE_SET_ANGLE, portions.Sunrise, true),
+        Dhuhr: midDay(jDate, portions.Dhuhr),
+        Asr: asrTime(jDate, lat, school.factor, portions.Asr),
+        Sunset: sunAngleTime(jDate, lat, RISE_SET_ANGLE, portions.Sunset),
+        Isha: method.ishaMinutes ? NaN : sunAngleTime(jDate, lat, method.isha, portions.Isha)
+    };
+}
+
+// Keep Fajr and Isha within a safe portion of the night where twilight never ends
+function adjustHighLatitudes(times, method, rule) {
+    const night = fixHour(times.Sunrise - times.Sunset);
+
+    const fajrPortion = nightPortion(rule, method.fajr, night);
+    const fajrDiff = fixHour(times.Sunrise - times.Fajr);
+    if (isNaN(times.Fajr) || fajrDiff > fajrPortion) {
+        times.Fajr = times.Sunrise - fajrPortion;
+    }
+
+    if (!method.ishaMinutes) {
+        const ishaPortion = nightPortion(rule, method.isha, night);
+        const ishaDiff = fixHour(times.Isha - times.Sunset);
+        if (isNaN(times.Isha) || ishaDiff > ishaPortion) {
+            times.Isha = times.Sunset + ishaPortion;
+        }
+    }
+}
+
+// Portion of the night allowed between sunset/sunrise and Isha/Fajr
+function nightPortion(rule, angle, night) {
+    switch (rule) {
+        case 1:
+            return night / 2;
+        case 2:
+            return night / 7;
+        default:
+            return angle / 60 * night;
+    }
+}
+
+// Timezone offset in hours for the given date, read at noon to avoid DST edges
+function getTimezoneHours(date) {
+    const noon = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 12);
+    return -noon.getTimezoneOffset() / 60;
+}
+
+// Julian date at midnight UTC for a Gregorian date
+function julianDate(year, month, day) {
+    if (month <= 2) {
+        year -= 1;
+        month += 12;
+    }
+    const a = Math.floor(year / 100);
+    const b = 2 - a + Math.floor(a / 4);
+    return Math.floor(365.25 * (year + 4716)) + Math.floor(30.6001 * (month + 1)) + day + b - 1524.5;
+}
+
+// Sun declination and equation of time for a Julian date
+function sunPosition(jd) {
+    const d = jd - 2451545.0;
+    const g = fixAngle(357.529 + 0.98560028 * d);
+    const q = fixAngle(280.459 + 0.98564736 * d);
+    const l = fixAngle(q + 1.915 * dsin(g) + 0.020 * dsin(2 * g));
+    const e = 23.439 - 0.00000036 * d;
+
+    const ra = darctan2(dcos(e) * dsin(l), dcos(l)) / 15;
+    return {
+        declination: darcsin(dsin(e) * dsin(l)),
+        equation: q / 15 - fixHour(ra)
+    };
+}
+
+// Solar noon in local solar hours
+function midDay(jDate, portion) {
+    const eqt = sunPosition(jDate + portion).equation;
+    return fixHour(12 - eqt);
+}
+
+// Time at which the sun reaches the given angle below the horizon
+function sunAngleTime(jDate, lat, angle, portion, beforeNoon = false) {
+    const decl = sunPosition(jDate + portion).declination;
+    const noon = midDay(jDate, portion);
+    const t = darccos((-dsin(angle) - dsin(decl) * dsin(lat)) / (dcos(decl) * dcos(lat))) / 15;
+    return noon + (beforeNoon ? -t : t);
+}
+
+// Time at which an object's shadow is `factor` times its length plus the noon shadow
+function asrTime(jDate, lat, factor, portion) {
+    const decl = sunPosition(jDate + portion).declination;
+    const angle = -darccot(factor + dtan(Math.abs(lat - decl)));
+    return sunAngleTime(jDate, lat, angle, portion);
+}
+
+// Format fractional hours as "HH:MM", rounded to the nearest minute
+function formatHours(hours) {
+    const rounded = fixHour(hours + 0.5 / 60);
+    const h = Math.floor(rounded);
+    const m = Math.floor((rounded - h) * 60);
+    return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+}
+
+// Degree based trigonometry
+function dsin(d) { return Math.sin(d * Math.PI / 180); }
+function dcos(d) { return Math.cos(d * Math.PI / 180); }
+function dtan(d) { return Math.tan(d * Math.PI / 180); }
+function darcsin(x) { return Math.asin(x) * 180 / Math.PI; }
+function darccos(x) { return Math.acos(x) * 180 / Math.PI; }
+function darctan2(y, x) { return Math.atan2(y, x) * 180 / Math.PI; }
+function darccot(x) { return Math.atan(1 / x) * 180 / Math.PI; }
+
+function fixAngle(a) {
+    a = a - 360 * Math.floor(a / 360);
+    return a < 0 ? a + 360 : a;
+}
+
+function fixHour(h) {
+    h = h - 24 * Math.floor(h / 24);
+    return h < 0 ? h + 24 : h;
+}
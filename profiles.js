@@ -0,0 +1,155 @@
+// Profiles and the family dashboard
+// Each profile keeps its own prayer records, settings, qada ledger and fasts.
+// The location, reminders and timetable cache are shared by everyone on the device.
+
+import { now } from './env.js';
+import { displayHistoryCalendar, displayHistoryDay } from './history.js';
+import { applyLanguage, formatNumber, t } from './i18n.js';
+import { getQadaSummary } from './qada.js';
+import { escapeHtml, updateDateTime } from './render.js';
+import { loadSettings } from './settings.js';
+import {
+    addProfile, getActiveProfile, getProfileData, getProfiles, getStoredValue, getTrackingData, removeProfile,
+    renameProfile, setActiveProfile
+} from './storage.js';
+import { getLocationDate } from './timezone.js';
+import { checkDailyReset, fetchPrayerTimes, getPrayerDate, prayerTimes, prayerTimesDateKey } from './today.js';
+import { getDayProgress } from './tracking.js';
+
+// Header switcher
+export function renderProfileSwitcher() {
+    const active = getActiveProfile();
+    document.getElementById('profileSelect').innerHTML = getProfiles().map(profile => `
+                <option value="${escapeHtml(profile.id)}" ${profile.id === active ? 'selected' : ''}>
+                    👤 ${escapeHtml(profile.name)}
+                </option>
+            `).join('');
+}
+
+export async function switchProfile(id) {
+    if (id === getActiveProfile()) {
+        return;
+    }
+    await setActiveProfile(id);
+    await loadActiveProfile();
+}
+
+// Reload everything that depends on the active profile
+export async function loadActiveProfile() {
+    loadSettings();
+    applyLanguage();
+    updateDateTime();
+    renderProfileSwitcher();
+    checkDailyReset();
+    // Profiles with other calculation settings have their own timetables
+    await fetchPrayerTimes();
+    displayHistoryCalendar();
+    displayHistoryDay();
+
+    if (document.getElementById('familyPanel').classList.contains('show')) {
+        displayFamilyDashboard();
+    }
+}
+
+// Today's progress for one profile; prayers past their end time count as missed
+function getProfileProgress(id, instant = now()) {
+    const completed = getTrackingData(id).completedPrayers[prayerTimesDateKey] || {};
+
+    return {
+        ...getDayProgress(getPrayerDate(), prayerTimes, completed, instant),
+        qadaOwed: getQadaSummary(getProfileData(id).qadaLedger, getLocationDate(instant)).total
+    };
+}
+
+// Family panel
+export function openFamily() {
+    displayFamilyDashboard();
+    document.getElementById('familyPanel').classList.add('show');
+}
+
+export function closeFamily() {
+    document.getElementById('familyPanel').classList.remove('show');
+}
+
+function displayFamilyDashboard() {
+    const active = getActiveProfile();
+    const profiles = getProfiles();
+    const instant = now();
+
+    document.getElementById('familyDashboard').innerHTML = profiles.map(profile => {
+        const progress = getProfileProgress(profile.id, instant);
+        const isActive = profile.id === active;
+        // Ids and names can come from an imported backup or a synced copy
+        const id = escapeHtml(JSON.stringify(profile.id));
+        return `
+                    <div class="family-member ${isActive ? 'active' : ''}">
+                        <div class="family-member-header">
+                            <input type="text" class="family-name" value="${escapeHtml(profile.name)}"
+                                aria-label="${t('family.name')}" onchange="renameFamilyMember(${id}, this.value)">
+                            <button onclick="switchProfile(${id})" ${isActive ? 'disabled' : ''}>
+                                ${t(isActive ? 'family.current' : 'family.switch')}
+                            </button>
+                            <button onclick="removeFamilyMember(${id})" aria-label="${t('common.remove')}"
+                                ${profiles.length === 1 ? 'disabled' : ''}>✕</button>
+                        </div>
+                        <div class="stats-grid">
+                            <div class="stat-item">
+                                <div class="stat-value">${formatNumber(progress.completed)}</div>
+                                <div class="stat-label">${t('today.completed')}</div>
+                            </div>
+                            <div class="stat-item">
+                                <div class="stat-value">${formatNumber(progress.remaining)}</div>
+                                <div class="stat-label">${t('today.remaining')}</div>
+                            </div>
+                            <div class="stat-item">
+                                <div class="stat-value">${formatNumber(progress.missed)}</div>
+                                <div class="stat-label">${t('family.missedToday')}</div>
+                            </div>
+                            <div class="stat-item">
+                                <div class="stat-value">${formatNumber(progress.qadaOwed)}</div>
+                                <div class="stat-label">${t('family.qadaOwed')}</div>
+                            </div>
+                        </div>
+                    </div>
+                `;
+    }).join('');
+}
+
+// New profiles start with the current profile's calculation settings
+export function addFamilyMember() {
+    const input = document.getElementById('newProfileName');
+    const name = input.value.trim();
+    if (!name) {
+        return;
+    }
+
+    addProfile(name, getStoredValue('settings'));
+    input.value = '';
+    renderProfileSwitcher();
+    displayFamilyDashboard();
+}
+
+export function renameFamilyMember(id, name) {
+    if (!name.trim()) {
+        displayFamilyDashboard();
+        return;
+    }
+    renameProfile(id, name.trim());
+    renderProfileSwitcher();
+}
+
+export async function removeFamilyMember(id) {
+    const profile = getProfiles().find(p => p.id === id);
+    if (!profile || !confirm(t('family.confirmRemove', { name: profile.name }))) {
+        return;
+    }
+
+    const wasActive = id === getActiveProfile();
+    await removeProfile(id);
+    if (wasActive) {
+        await loadActiveProfile();
+    } else {
+        renderProfileSwitcher();
+    }
+    displayFamilyDashboard();
+}
@@ -0,0 +1,120 @@
+// Qada (make-up) prayer ledger
+// Debts are paid off oldest first: the opening balance from past years,
+// then each recorded missed prayer by date.
+
+import { now } from './env.js';
+import { dateFromKey } from './storage.js';
+
+export const QADA_PRAYERS = ['Fajr', 'Dhuhr', 'Asr', 'Maghrib', 'Isha'];
+
+export function createQadaLedger() {
+    return {
+        openingBalance: {}, // Prayers owed from before tracking began
+        openingPaid: {}, // How much of the opening balance has been made up
+        entries: [], // { prayer, date, paidOn } for each missed prayer
+        dailyRate: 1 // Make-up prayers of each kind per day
+    };
+}
+
+// Jummah is made up as Dhuhr
+function getQadaPrayer(prayer) {
+    return prayer === 'Jummah' ? 'Dhuhr' : prayer;
+}
+
+// Record a missed prayer as owed, returning false if it was already recorded
+export function addQadaDebt(ledger, prayer, date) {
+    const qadaPrayer = getQadaPrayer(prayer);
+
+    if (ledger.entries.some(entry => entry.prayer === qadaPrayer && entry.date === date)) {
+        return false;
+    }
+
+    ledger.entries.push({ prayer: qadaPrayer, date, paidOn: null });
+    return true;
+}
+
+// Drop an unpaid debt when a prayer recorded as missed turns out to be prayed
+export function cancelQadaDebt(ledger, prayer, date) {
+    const qadaPrayer = getQadaPrayer(prayer);
+    ledger.entries = ledger.entries.filter(entry =>
+        entry.paidOn || entry.prayer !== qadaPrayer || entry.date !== date
+    );
+}
+
+// Pay off the oldest outstanding debt for a prayer, returning false if nothing is owed
+export function payQadaDebt(ledger, prayer, paidOn) {
+    const openingOwed = (ledger.openingBalance[prayer] || 0) - (ledger.openingPaid[prayer] || 0);
+
+    if (openingOwed > 0) {
+        ledger.openingPaid[prayer] = (ledger.openingPaid[prayer] || 0) + 1;
+        return true;
+    }
+
+    const oldest = ledger.entries
+        .filter(entry => entry.prayer === prayer && !entry.paidOn)
+        .sort((a, b) => dateFromKey(a.date) - dateFromKey(b.date))[0];
+
+    if (!oldest) {
+        return false;
+    }
+
+    oldest.paidOn = paidOn;
+    return true;
+}
+
+// Replace the opening balance, keeping what was already made up against it
+export function setQadaOpeningBalance(ledger, balance) {
+    QADA_PRAYERS.forEach(prayer => {
+        const owed = Math.max(0, parseInt(balance[prayer]) || 0);
+        ledger.openingBalance[prayer] = owed;
+        ledger.openingPaid[prayer] = Math.min(ledger.openingPaid[prayer] || 0, owed);
+    });
+}
+
+// Combine two copies of a ledger: debts from either, and a debt made up in either stays made up
+export function mergeQadaLedgers(local, remote) {
+    const merged = {
+        ...local,
+        openingBalance: { ...local.openingBalance },
+        openingPaid: { ...local.openingPaid },
+        entries: local.entries.map(entry => ({ ...entry }))
+    };
+
+    QADA_PRAYERS.forEach(prayer => {
+        merged.openingBalance[prayer] = Math.max(local.openingBalance[prayer] || 0, remote.openingBalance[prayer] || 0);
+        merged.openingPaid[prayer] = Math.max(local.openingPaid[prayer] || 0, remote.openingPaid[prayer] || 0);
+    });
+
+    remote.entries.forEach(remoteEntry => {
+        const entry = merged.entries.find(item => item.prayer === remoteEntry.prayer && item.date === remoteEntry.date);
+        if (!entry) {
+            merged.entries.push({ ...remoteEntry });
+        } else if (!entry.paidOn) {
+            entry.paidOn = remoteEntry.paidOn;
+        }
+    });
+
+    return merged;
+}
+
+// Remaining debt per prayer and the estimated payoff date at the ledger's daily rate
+export function getQadaSummary(ledger, today = now()) {
+    const rate = Math.max(1, ledger.dailyRate || 1);
+    const owed = {};
+    let total = 0;
+    let payoffDays = 0;
+
+    QADA_PRAYERS.forEach(prayer => {
+        const opening = (ledger.openingBalance[prayer] || 0) - (ledger.openingPaid[prayer] || 0);
+        const missed = ledger.entries.filter(entry => entry.prayer === prayer && !entry.paidOn).length;
+
+        owed[prayer] = opening + missed;
+        total += owed[prayer];
+        payoffDays = Math.max(payoffDays, Math.ceil(owed[prayer] / rate));
+    });
+
+    const payoffDate = new Date(today);
+    payoffDate.setDate(payoffDate.getDate() + payoffDays);
+
+    return { owed, total, payoffDays, payoffDate };
+}
@@ -0,0 +1,235 @@
+// Qibla direction
+// The great-circle bearing from the current location to the Kaaba. A compass
+// follows the device heading where orientation events report one; elsewhere a
+// static dial with north up and a world diagram of the route are shown.
+
+import { formatNumber, t } from './i18n.js';
+import { distanceKm } from './locations.js';
+import { currentLocation } from './today.js';
+
+const KAABA = { lat: 21.4225, lon: 39.8262 };
+
+// Coarse coastlines as rings of [lon, lat] points, enough to place the route on the map
+const WORLD_LAND = [
+    // North and Central America
+    [[-168, 66], [-156, 71], [-128, 70], [-115, 68], [-95, 72], [-82, 73], [-80, 63], [-94, 59], [-82, 55],
+        [-79, 52], [-77, 60], [-65, 60], [-56, 52], [-66, 45], [-70, 42], [-76, 38], [-81, 31], [-80, 25],
+        [-84, 30], [-90, 29], [-97, 27], [-97, 22], [-94, 18], [-88, 21], [-83, 15], [-83, 10], [-78, 7],
+        [-86, 12], [-92, 15], [-105, 20], [-110, 23], [-114, 28], [-117, 32], [-121, 35], [-124, 40],
+        [-124, 47], [-128, 51], [-135, 57], [-150, 60], [-158, 57], [-163, 55], [-165, 62]],
+    // South America
+    [[-78, 7], [-72, 12], [-62, 11], [-52, 5], [-50, 0], [-44, -2], [-35, -5], [-35, -9], [-39, -14],
+        [-40, -20], [-48, -26], [-53, -34], [-58, -35], [-62, -40], [-65, -45], [-68, -50], [-69, -53],
+        [-72, -54], [-75, -50], [-74, -43], [-73, -37], [-71, -30], [-70, -18], [-76, -14], [-81, -6],
+        [-80, -1], [-78, 2]],
+    // Greenland
+    [[-73, 78], [-60, 82], [-30, 83], [-20, 81], [-20, 70], [-30, 68], [-40, 65], [-43, 60], [-50, 64],
+        [-55, 70], [-60, 76]],
+    // Africa
+    [[-17, 21], [-16, 28], [-10, 30], [-6, 36], [10, 37], [11, 33], [20, 31], [25, 32], [32, 31], [34, 28],
+        [37, 22], [39, 16], [43, 12], [51, 12], [47, 4], [41, -2], [40, -10], [40, -15], [35, -20], [35, -25],
+        [32, -29], [27, -34], [20, -35], [18, -32], [15, -27], [12, -18], [13, -12], [12, -5], [9, -1],
+        [9, 4], [5, 6], [-4, 5], [-8, 4], [-13, 8], [-17, 15]],
+    // Madagascar
+    [[44, -25], [47, -25], [50, -15], [49, -12], [44, -17]],
+    // Europe and Asia
+    [[-9, 37], [-9, 43], [-2, 44], [-1, 46], [-5, 48], [2, 51], [5, 53], [8, 54], [8, 57], [5, 59], [5, 62],
+        [13, 68], [20, 70], [28, 71], [33, 69], [41, 67], [44, 68], [60, 69], [70, 73], [80, 73], [100, 77],
+        [113, 74], [130, 71], [140, 72], [160, 70], [170, 70], [180, 66], [178, 62], [170, 60], [163, 58],
+        [157, 51], [156, 57], [150, 59], [140, 59], [137, 54], [141, 52], [140, 48], [133, 43], [129, 41],
+        [129, 35], [126, 35], [126, 38], [122, 40], [121, 37], [119, 35], [122, 31], [120, 26], [117, 23],
+        [110, 21], [106, 18], [109, 12], [105, 9], [103, 10], [100, 13], [101, 7], [104, 1], [101, 3],
+        [98, 8], [98, 16], [94, 17], [92, 22], [87, 21], [80, 16], [80, 10], [77, 8], [73, 17], [72, 21],
+        [67, 24], [62, 25], [57, 26], [56, 24], [59, 22], [55, 17], [52, 16], [43, 13], [39, 21], [35, 28],
+        [34, 31], [35, 36], [30, 37], [27, 37], [26, 40], [29, 41], [23, 40], [22, 37], [19, 41], [13, 45],
+        [16, 41], [18, 40], [16, 38], [12, 42], [8, 44], [3, 43], [0, 39], [-2, 37], [-6, 36]],
+    // Great Britain
+    [[-5, 50], [1, 51], [2, 53], [-2, 56], [-2, 58], [-5, 58], [-6, 56], [-5, 54], [-3, 53], [-5, 52]],
+    // Japan
+    [[130, 31], [132, 34], [136, 34], [140, 35], [142, 40], [142, 45], [140, 42], [136, 37], [132, 35]],
+    // Borneo, Sumatra and New Guinea
+    [[109, 2], [117, 7], [119, 1], [116, -4], [110, -3]],
+    [[95, 5], [98, 4], [106, -6], [104, -6], [100, -2]],
+    [[131, -1], [141, -3], [150, -10], [143, -9], [138, -8], [132, -4]],
+    // Australia
+    [[114, -22], [114, -34], [118, -35], [124, -34], [131, -31], [138, -35], [141, -38], [147, -38],
+        [150, -37], [153, -32], [153, -25], [146, -19], [142, -11], [141, -17], [136, -12], [131, -11],
+        [126, -14], [122, -18]],
+    // Antarctica
+    [[-180, -78], [-60, -72], [-58, -63], [-40, -78], [0, -70], [60, -67], [120, -66], [180, -75],
+        [180, -90], [-180, -90]]
+];
+
+let qiblaHeading = null; // Device heading in degrees clockwise from north, when known
+
+// Initial great-circle bearing in degrees clockwise from true north
+function qiblaBearing(from) {
+    const toRad = Math.PI / 180;
+    const dLon = (KAABA.lon - from.lon) * toRad;
+    const lat1 = from.lat * toRad;
+    const lat2 = KAABA.lat * toRad;
+    const y = Math.sin(dLon);
+    const x = Math.cos(lat1) * Math.tan(lat2) - Math.sin(lat1) * Math.cos(dLon);
+    return (Math.atan2(y, x) / toRad + 360) % 360;
+}
+
+// Points along the great circle to the Kaaba, for the route diagram
+function qiblaRoute(from, steps = 32) {
+    const toRad = Math.PI / 180;
+    const lat1 = from.lat * toRad;
+    const lon1 = from.lon * toRad;
+    const lat2 = KAABA.lat * toRad;
+    const lon2 = KAABA.lon * toRad;
+    const angle = distanceKm(from, KAABA) / 6371;
+
+    if (angle === 0) {
+        return [from];
+    }
+
+    const points = [];
+    for (let i = 0; i <= steps; i++) {
+        const a = Math.sin((1 - i / steps) * angle) / Math.sin(angle);
+        const b = Math.sin(i / steps * angle) / Math.sin(angle);
+        const x = a * Math.cos(lat1) * Math.cos(lon1) + b * Math.cos(lat2) * Math.cos(lon2);
+        const y = a * Math.cos(lat1) * Math.sin(lon1) + b * Math.cos(lat2) * Math.sin(lon2);
+        const z = a * Math.sin(lat1) + b * Math.sin(lat2);
+        points.push({
+            lat: Math.atan2(z, Math.sqrt(x * x + y * y)) / toRad,
+            lon: Math.atan2(y, x) / toRad
+        });
+    }
+    return points;
+}
+
+function compassPoint(bearing) {
+    const points = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+    return points[Math.round(bearing / 45) % 8];
+}
+
+// Qibla panel
+export async function openQibla() {
+    document.getElementById('qiblaPanel').classList.add('show');
+    qiblaHeading = null;
+    displayQibla();
+    await startCompass();
+}
+
+export function closeQibla() {
+    document.getElementById('qiblaPanel').classList.remove('show');
+    window.removeEventListener('deviceorientationabsolute', onDeviceOrientation);
+    window.removeEventListener('deviceorientation', onDeviceOrientation);
+}
+
+// Listen for the device heading, asking for permission first where required (iOS)
+async function startCompass() {
+    if (typeof DeviceOrientationEvent === 'undefined') {
+        return;
+    }
+
+    if (typeof DeviceOrientationEvent.requestPermission === 'function') {
+        try {
+            if (await DeviceOrientationEvent.requestPermission() !== 'granted') {
+                return;
+            }
+        } catch (error) {
+            console.log('Compass permission unavailable:', error);
+            return;
+        }
+    }
+
+    const eventName = 'ondeviceorientationabsolute' in window ? 'deviceorientationabsolute' : 'deviceorientation';
+    window.addEventListener(eventName, onDeviceOrientation);
+}
+
+function onDeviceOrientation(event) {
+    let heading = null;
+    if (typeof event.webkitCompassHeading === 'number') {
+        heading = event.webkitCompassHeading;
+    } else if (event.absolute && typeof event.alpha === 'number') {
+        heading = (360 - event.alpha) % 360;
+    }
+
+    // Relative orientation has no fixed north, so it cannot point to the Qibla
+    if (heading === null) {
+        return;
+    }
+
+    qiblaHeading = heading;
+    displayQibla();
+}
+
+function displayQibla() {
+    const bearing = qiblaBearing(currentLocation);
+    const distance = distanceKm(currentLocation, KAABA);
+    const live = qiblaHeading !== null;
+    // With a heading the dial turns so north matches the real north
+    const dialRotation = live ? -qiblaHeading : 0;
+    const facing = live && Math.abs(((bearing - qiblaHeading + 540) % 360) - 180) < 5;
+
+    document.getElementById('qiblaInfo').innerHTML = `
+                <div class="qibla-bearing">${formatNumber(Math.round(bearing))}° ${t(`compass.${compassPoint(bearing)}`)}</div>
+                <div>${t('qibla.distance', { distance: formatNumber(Math.round(distance)) })}</div>
+                <small>${t(live ? (facing ? 'qibla.facing' : 'qibla.turn') : 'qibla.noCompass')}</small>
+            `;
+
+    document.getElementById('qiblaCompass').innerHTML = `
+                <svg viewBox="0 0 200 200" class="qibla-dial ${facing ? 'facing' : ''}" role="img"
+                    aria-label="${t('qibla.dialLabel', { degrees: Math.round(bearing) })}">
+                    <g transform="rotate(${dialRotation} 100 100)">
+                        <circle cx="100" cy="100" r="90" class="dial-ring"/>
+                        <text x="100" y="28" text-anchor="middle" class="dial-north">${t('compass.N')}</text>
+                        <text x="176" y="105" text-anchor="middle">${t('compass.E')}</text>
+                        <text x="100" y="182" text-anchor="middle">${t('compass.S')}</text>
+                        <text x="24" y="105" text-anchor="middle">${t('compass.W')}</text>
+                        <g transform="rotate(${bearing} 100 100)">
+                            <line x1="100" y1="100" x2="100" y2="30" class="qibla-needle"/>
+                            <text x="100" y="24" text-anchor="middle" class="qibla-kaaba">🕋</text>
+                        </g>
+                    </g>
+                    ${live ? '<polygon points="100,2 94,14 106,14" class="dial-pointer"/>' : ''}
+                    <circle cx="100" cy="100" r="4"/>
+                </svg>
+            `;
+
+    document.getElementById('qiblaMap').innerHTML = live ? '' : renderQiblaMap();
+}
+
+// Equirectangular world map with the great-circle route to the Kaaba
+function renderQiblaMap() {
+    const width = 360;
+    const height = 180;
+    const x = (lon) => lon + 180;
+    const y = (lat) => 90 - lat;
+
+    // Break the line where the route crosses the date line
+    let path = '';
+    let previous = null;
+    qiblaRoute(currentLocation).forEach(point => {
+        const jump = previous && Math.abs(point.lon - previous.lon) > 180;
+        path += `${!previous || jump ? 'M' : 'L'}${x(point.lon).toFixed(1)},${y(point.lat).toFixed(1)} `;
+        previous = point;
+    });
+
+    const land = WORLD_LAND
+        .map(ring => `M${ring.map(([lon, lat]) => `${x(lon)},${y(lat)}`).join(' L')} Z`)
+        .join(' ');
+
+    let grid = '';
+    for (let lon = -150; lon <= 150; lon += 30) {
+        grid += `<line x1="${x(lon)}" y1="0" x2="${x(lon)}" y2="${height}"/>`;
+    }
+    for (let lat = -60; lat <= 60; lat += 30) {
+        grid += `<line x1="0" y1="${y(lat)}" x2="${width}" y2="${y(lat)}"/>`;
+    }
+
+    return `
+                <svg viewBox="0 0 ${width} ${height}" class="qibla-map" role="img" aria-label="${t('qibla.mapLabel')}">
+                    <rect width="${width}" height="${height}" class="map-sea"/>
+                    <path d="${land}" class="map-land"/>
+                    <g class="map-grid">${grid}</g>
+                    <path d="${path.trim()}" class="map-route"/>
+                    <circle cx="${x(currentLocation.lon)}" cy="${y(currentLocation.lat)}" r="4" class="map-here"/>
+                    <circle cx="${x(KAABA.lon)}" cy="${y(KAABA.lat)}" r="4" class="map-kaaba"/>
+                </svg>
+            `;
+}
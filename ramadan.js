@@ -0,0 +1,162 @@
+// Ramadan mode
+// During Ramadan the header counts down to the end of suhoor (imsak), to Fajr
+// and to iftar, and a tracker records each day's fast. Missed fasts stay owed until
+// they are made up, so the tracker remains visible after Ramadan while any are.
+
+import { toHijriDate } from './hijri.js';
+import { t } from './i18n.js';
+import { formatTime, getTimeDifference } from './render.js';
+import { settings } from './settings.js';
+import { getStoredValue, touchDay, updateStoredValue } from './storage.js';
+import { getNextDayTime, getTodayKey, minutesToTime, timeToMinutes } from './time.js';
+import { getLocationDate, timeToInstant } from './timezone.js';
+import { getPrayerDate, getPrayerInstant, prayerTimes, prayerTimesDateKey } from './today.js';
+
+// Imsak is kept this many minutes before Fajr, as the Aladhan API does
+const IMSAK_MINUTES = 10;
+
+export function createFastingLog() {
+    return {
+        days: {}, // 'fasted' or 'missed' by date key
+        madeUp: 0, // Missed fasts made up since
+        taraweeh: {} // Date keys on which Taraweeh was prayed
+    };
+}
+
+// Whether a calendar date falls in Ramadan under the selected Hijri calendar
+export function isRamadan(date) {
+    return toHijriDate(date, settings.hijriCalendar, settings.hijriAdjustment).month === 9;
+}
+
+// Whether the night after a calendar date, from Maghrib, is a night of Ramadan
+// The Hijri day begins at sunset, so the night belongs to the next date's fast
+export function isRamadanNight(date) {
+    return isRamadan(new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1));
+}
+
+// End of suhoor in the night after the day, before the next day's Fajr
+function getNextImsakTime(times) {
+    return minutesToTime(timeToMinutes(getNextDayTime(times.NextFajr)) - IMSAK_MINUTES);
+}
+
+function getFastingSummary(log) {
+    const statuses = Object.values(log.days);
+    const fasted = statuses.filter(status => status === 'fasted').length;
+    const missed = statuses.filter(status => status === 'missed').length;
+
+    return { fasted, missed, madeUp: log.madeUp, owed: Math.max(0, missed - log.madeUp) };
+}
+
+// What the header counts down to at `now`, as { id, time }: iftar on a day of
+// Ramadan, then on a night of Ramadan the end of suhoor, then Fajr once imsak has
+// passed. Null when there is no fast to count down to.
+export function getFastingTarget(date, times, now, timeZone) {
+    const fastToday = isRamadan(date);
+    const fastTomorrow = isRamadanNight(date);
+    const targets = [
+        { id: 'iftar', time: times.Maghrib, fast: fastToday },
+        { id: 'suhoor', time: getNextImsakTime(times), fast: fastTomorrow },
+        { id: 'fajr', time: getNextDayTime(times.NextFajr), fast: fastTomorrow }
+    ];
+    const target = targets.find(({ time }) => now < timeToInstant(date, time, timeZone));
+    return target && target.fast ? { id: target.id, time: target.time } : null;
+}
+
+// Header countdown to iftar, then through the night to the end of suhoor and Fajr
+export function getRamadanCountdown(now) {
+    const target = getFastingTarget(getPrayerDate(), prayerTimes, now);
+    if (!target) {
+        return null;
+    }
+
+    const instant = getPrayerInstant(target.time);
+    if (target.id === 'suhoor' && getTodayKey(instant) !== getTodayKey(now)) {
+        return t('ramadan.suhoorTomorrow', { at: formatTime(target.time) });
+    }
+    return t(`ramadan.${target.id}`, { time: getTimeDifference(now, instant), at: formatTime(target.time) });
+}
+
+// Fast tracker, shown during Ramadan and while make-up fasts are owed
+export function displayFastingTracker() {
+    const log = getStoredValue('fasting');
+    const summary = getFastingSummary(log);
+    const today = getLocationDate();
+    const inRamadan = isRamadan(today);
+    const status = log.days[getTodayKey()];
+    const section = document.getElementById('fastingSection');
+
+    section.classList.toggle('show', inRamadan || summary.owed > 0);
+
+    let html = '';
+    if (inRamadan) {
+        const hijri = toHijriDate(today, settings.hijriCalendar, settings.hijriAdjustment);
+        html += `
+                    <p class="fasting-day">${t('fasting.day', { day: hijri.day, year: hijri.year })}</p>
+                    <div class="history-actions">
+                        <button class="${status === 'fasted' ? 'chosen prayed' : ''}"
+                            onclick="setFastStatus('fasted')">${t('fasting.fasting')}</button>
+                        <button class="${status === 'missed' ? 'chosen missed' : ''}"
+                            onclick="setFastStatus('missed')">${t('fasting.notFasting')}</button>
+                    </div>
+                `;
+    }
+
+    html += `
+                <div class="qada-summary">
+                    ${t('fasting.summary', summary)}
+                    <strong>${t('fasting.owed', summary)}</strong>
+                </div>
+                <button class="qada-button" onclick="logMakeupFast()" ${summary.owed === 0 ? 'disabled' : ''}>
+                    ${t('fasting.makeUp', { count: 1 })}
+                </button>
+            `;
+    document.getElementById('fastingTracker').innerHTML = html;
+}
+
+// Mark today's fast, or clear the mark when the same choice is pressed again
+export function setFastStatus(status) {
+    const dateKey = getTodayKey();
+    updateStoredValue('fasting', log => {
+        if (log.days[dateKey] === status) {
+            delete log.days[dateKey];
+        } else {
+            log.days[dateKey] = status;
+        }
+        touchDay(dateKey);
+    });
+    displayFastingTracker();
+}
+
+export function logMakeupFast() {
+    updateStoredValue('fasting', log => {
+        if (getFastingSummary(log).owed > 0) {
+            log.madeUp++;
+        }
+    });
+    displayFastingTracker();
+}
+
+// Taraweeh checkbox shown on the Isha card on the nights of Ramadan
+export function getTaraweehCheckbox() {
+    const prayed = getStoredValue('fasting').taraweeh[prayerTimesDateKey];
+    return `
+                        <div class="prayer-checkbox taraweeh-checkbox">
+                            <input type="checkbox" id="check-Taraweeh" ${prayed ? 'checked' : ''}
+                                onchange="toggleTaraweeh()">
+                            <label for="check-Taraweeh">${t('fasting.taraweeh')}</label>
+                        </div>
+                    `;
+}
+
+export function toggleTaraweeh() {
+    const dateKey = prayerTimesDateKey;
+    const prayed = document.getElementById('check-Taraweeh').checked;
+    updateStoredValue('fasting', log => {
+        if (prayed) {
+            log.taraweeh[dateKey] = true;
+        } else {
+            delete log.taraweeh[dateKey];
+        }
+        touchDay(dateKey);
+    });
+}
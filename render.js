@@ -0,0 +1,377 @@
+// Rendering of the main page
+// Prayer cards, the next-prayer countdown, the forbidden banner, today's progress
+// and the qada ledger, drawn from the times and records loaded by today.js.
+
+import { now } from './env.js';
+import { getForbiddenRule } from './forbidden.js';
+import { currentLanguage, formatDateTime, formatNumber, prayerLabel, t } from './i18n.js';
+import { getLocationSettings, isTravelling } from './locations.js';
+import { getNextIqamah, getPrayerIqamahs } from './masjid.js';
+import { getQadaSummary, QADA_PRAYERS } from './qada.js';
+import { displayFastingTracker, getRamadanCountdown, getTaraweehCheckbox, isRamadanNight } from './ramadan.js';
+import { settings } from './settings.js';
+import { getStoredValue, getTrackingData } from './storage.js';
+import { getDuration, getEndTime, getNextDayTime, getPrayersForDate, getStartTime, getTodayKey } from './time.js';
+import { getLocationDate, locationTimeZone } from './timezone.js';
+import {
+    getIslamicDate, getPrayerDate, getPrayerInstant, getTodayForbiddenWindows, getTodayIqamahTimes, islamicDate,
+    prayerTimes, prayerTimesDateKey
+} from './today.js';
+import { getCurrentPrayer, getDayProgress, getNextPrayer } from './tracking.js';
+import { getVoluntaryChecks } from './voluntary.js';
+
+// Prayer names with Arabic
+const prayerNames = {
+    Fajr: { arabic: 'الفجر', icon: '🌅' },
+    Dhuhr: { arabic: 'الظهر', icon: '☀️' },
+    Asr: { arabic: 'العصر', icon: '🌤️' },
+    Maghrib: { arabic: 'المغرب', icon: '🌇' },
+    Isha: { arabic: 'العشاء', icon: '🌙' }
+};
+
+// Display prayer times
+export function displayPrayerTimes() {
+    const container = document.getElementById('prayersList');
+    const today = getPrayerDate();
+    const todayKey = prayerTimesDateKey;
+    const { completedPrayers } = getTrackingData();
+    const iqamah = getTodayIqamahTimes();
+
+    let html = '';
+
+    const prayers = getPrayersForDate(today);
+
+    prayers.forEach(prayer => {
+        const prayerData = prayer === 'Jummah' ?
+            { arabic: 'الجمعة', icon: '🕌' } :
+            prayerNames[prayer];
+
+        const time = getStartTime(prayer, prayerTimes);
+        const endTime = getEndTime(prayer, prayerTimes);
+        const record = completedPrayers[todayKey] && completedPrayers[todayKey][prayer];
+        const isCompleted = Boolean(record);
+        const travelHtml = isTravelling ? getTravelNote(prayer) : '';
+        const forbiddenHtml = getForbiddenNote(prayer);
+        const taraweehHtml = prayer === 'Isha' && isRamadanNight(today) ? getTaraweehCheckbox() : '';
+        const voluntaryHtml = settings.trackVoluntary ? getVoluntaryChecks(prayer, todayKey) : '';
+        const timeHtml = iqamah ? getIqamahTimesHtml(prayer, time, iqamah) : formatTime(time);
+
+        html += `
+                    <div class="prayer-card ${isCompleted ? 'completed' : ''}" id="prayer-${prayer}">
+                        <div class="prayer-header">
+                            <div class="prayer-name">
+                                <div class="prayer-icon">${prayerData.icon}</div>
+                                <span>${prayerLabel(prayer)}</span>
+                            </div>
+                            <div class="prayer-time">${timeHtml}</div>
+                        </div>
+                        <div class="prayer-details">
+                            <span>${t('card.times', { start: formatTime(time), end: formatTime(endTime) })}</span>
+                            <span>${currentLanguage === 'ar' ? '' : prayerData.arabic}</span>
+                        </div>
+                        ${forbiddenHtml}
+                        ${travelHtml}
+                        <div class="prayer-checkbox">
+                            <input type="checkbox" id="check-${prayer}" 
+                                ${isCompleted ? 'checked' : ''} 
+                                onchange="togglePrayer('${prayer}')">
+                            <label for="check-${prayer}">
+                                ${t(prayer === 'Jummah' ? 'card.attendedJummah' : 'card.markPrayed')}
+                            </label>
+                        </div>
+                        <div id="record-${prayer}">${isCompleted ? getPrayerRecordControls(todayKey, prayer, record) : ''}</div>
+                        ${voluntaryHtml}
+                        ${taraweehHtml}
+                    </div>
+                `;
+    });
+
+    container.innerHTML = html;
+    updateStats();
+    displayFastingTracker();
+}
+
+// Adhan and the masjid's iqamah, for the prayers it has one for
+function getIqamahTimesHtml(prayer, time, iqamah) {
+    const iqamahs = getPrayerIqamahs(prayer, iqamah);
+    if (!iqamahs.length) {
+        return formatTime(time);
+    }
+
+    return `
+                                <span class="adhan-time">${t('card.adhan', { time: formatTime(time) })}</span>
+                                <span class="iqamah-time">
+                                    ${t('card.iqamah', { time: iqamahs.map(formatTime).join(' · ') })}
+                                </span>
+                            `;
+}
+
+// Qasr and jam' options shown on the cards while travelling
+// A traveller prays Dhuhr in Jummah's place, so Friday's midday card has Dhuhr's options
+function getTravelNote(prayer) {
+    const slot = prayer === 'Jummah' ? 'Dhuhr' : prayer;
+    const shortened = ['Dhuhr', 'Asr', 'Isha'].includes(slot);
+    const combineWith = { Dhuhr: 'Asr', Maghrib: 'Isha' }[slot];
+
+    let html = '';
+    if (shortened) {
+        html += `<div class="travel-note">${t('travel.qasr')}</div>`;
+    }
+    if (combineWith && getLocationSettings().showCombining) {
+        html += `
+                            <button class="travel-combine" onclick="combinePrayers('${prayer}', '${combineWith}')">
+                                ${t('travel.combine', { prayer: prayerLabel(combineWith) })}
+                            </button>
+                        `;
+    }
+    return html;
+}
+
+// Forbidden windows that fall within a prayer's time
+function getForbiddenNote(prayer) {
+    const slot = prayer === 'Jummah' ? 'Dhuhr' : prayer;
+    return getTodayForbiddenWindows()
+        .filter(period => period.prayer === slot)
+        .map(period => `
+                            <div class="forbidden-note">🚫 ${t(`forbidden.${period.id}`)}: ${formatTime(period.start)} – ${formatTime(period.end)}</div>
+                        `).join('');
+}
+
+// Update prayer status (active/forbidden)
+export function updatePrayerStatus() {
+    const currentTime = now();
+
+    // Check forbidden times; only sunrise, zenith and sunset stop the prayer itself
+    const forbidden = getActiveForbiddenWindow(currentTime);
+    const isForbidden = Boolean(forbidden) && forbidden.scope === 'all';
+    updateForbiddenBanner(forbidden);
+
+    // Update active prayer
+    const current = getCurrentPrayer(getPrayerDate(), prayerTimes, currentTime);
+
+    getPrayersForDate(getPrayerDate()).forEach(prayer => {
+        const card = document.getElementById(`prayer-${prayer}`);
+        if (card) {
+            card.classList.toggle('active', prayer === current && !isForbidden);
+            card.classList.toggle('forbidden', prayer === current && isForbidden);
+        }
+    });
+
+    // Update next prayer
+    updateNextPrayer();
+}
+
+// The forbidden window containing `instant`, preferring one that stops all prayer
+function getActiveForbiddenWindow(instant) {
+    const active = getTodayForbiddenWindows().filter(period =>
+        instant >= getPrayerInstant(period.start) && instant < getPrayerInstant(period.end)
+    );
+    return active.find(period => period.scope === 'all') || active[0] || null;
+}
+
+// Name the active forbidden period and when it ends
+function updateForbiddenBanner(forbidden) {
+    const banner = document.getElementById('forbiddenBanner');
+    banner.classList.toggle('show', Boolean(forbidden));
+    if (!forbidden) {
+        return;
+    }
+
+    banner.classList.toggle('voluntary', forbidden.scope === 'voluntary');
+    banner.innerHTML = `
+                ${t('forbidden.banner', { name: t(`forbidden.${forbidden.id}`), end: formatTime(forbidden.end) })}
+                <small>${getForbiddenRule(forbidden, settings.school)}</small>
+            `;
+}
+
+// Update next prayer display
+function updateNextPrayer() {
+    const currentTime = now();
+    const date = getPrayerDate();
+    const iqamah = getTodayIqamahTimes();
+    const texts = [];
+
+    // Ramadan counts down to suhoor and iftar instead, with the masjid's next iqamah alongside
+    const countdown = getRamadanCountdown(currentTime);
+    if (countdown) {
+        texts.push(countdown);
+    }
+    if (!countdown || iqamah) {
+        const next = getUpcomingPrayer(date, currentTime, iqamah);
+        if (next) {
+            texts.push(getUpcomingPrayerText(next, currentTime));
+        }
+    }
+
+    if (texts.length) {
+        document.getElementById('nextPrayer').textContent = texts.join(' · ');
+    }
+}
+
+function getUpcomingPrayerText(next, currentTime) {
+    const nextInstant = getPrayerInstant(next.time);
+    const prayer = prayerLabel(next.prayer);
+
+    if (getTodayKey(nextInstant) !== getTodayKey(currentTime)) {
+        return t(next.iqamah ? 'next.iqamahTomorrow' : 'next.tomorrow', { prayer, at: formatTime(next.time) });
+    }
+    const timeDiff = getTimeDifference(currentTime, nextInstant);
+    return t(next.iqamah ? 'next.iqamah' : 'next.in', { prayer, time: timeDiff, at: formatTime(next.time) });
+}
+
+// The next prayer as { prayer, time, iqamah }, timed by the masjid's iqamah when one is set
+function getUpcomingPrayer(date, currentTime, iqamah) {
+    if (iqamah) {
+        return getNextIqamah(date, prayerTimes, iqamah, currentTime);
+    }
+
+    // Once Isha has started, the next prayer is the next day's Fajr
+    const upcoming = getNextPrayer(date, prayerTimes, currentTime);
+    return upcoming ?
+        { prayer: upcoming, time: getStartTime(upcoming, prayerTimes), iqamah: false } :
+        { prayer: 'Fajr', time: getNextDayTime(prayerTimes.NextFajr), iqamah: false };
+}
+
+// Congregation and timing pickers for a completed prayer, on the cards and in history
+export function getPrayerRecordControls(dateKey, prayer, record) {
+    const option = (value, label, current) =>
+        `<option value="${value}" ${String(current) === value ? 'selected' : ''}>${label}</option>`;
+    const markedAt = record.at ?
+        `<small>${t('record.marked', {
+            time: formatDateTime(new Date(record.at), { hour: 'numeric', minute: '2-digit', timeZone: locationTimeZone })
+        })}</small>` :
+        '';
+
+    return `
+                            <div class="prayer-record">
+                                <select onchange="setPrayerDetail('${dateKey}', '${prayer}', 'congregation', this.value)" aria-label="${t('record.congregation')}">
+                                    ${option('null', t('record.where'), record.congregation)}
+                                    ${option('true', t('record.inCongregation'), record.congregation)}
+                                    ${option('false', t('record.alone'), record.congregation)}
+                                </select>
+                                <select onchange="setPrayerDetail('${dateKey}', '${prayer}', 'timing', this.value)" aria-label="${t('record.timing')}">
+                                    ${option('null', t('record.when'), record.timing)}
+                                    ${option('on-time', t('record.onTime'), record.timing)}
+                                    ${option('late', t('record.late'), record.timing)}
+                                    ${option('qada', t('record.qada'), record.timing)}
+                                </select>
+                                ${markedAt}
+                            </div>
+                        `;
+}
+
+// Display the qada (make-up) ledger
+export function displayQadaLedger() {
+    const ledger = getStoredValue('qadaLedger');
+    const summary = getQadaSummary(ledger, getLocationDate());
+
+    let html = '';
+    QADA_PRAYERS.forEach(prayer => {
+        html += `
+                    <div class="missed-prayer-item">
+                        <div class="missed-prayer-name">${prayerLabel(prayer)}</div>
+                        <div class="missed-count">${formatNumber(summary.owed[prayer])}</div>
+                        <button class="qada-button" onclick="logQadaPrayer('${prayer}')"
+                            ${summary.owed[prayer] === 0 ? 'disabled' : ''}>${t('qada.madeUp', { count: 1 })}</button>
+                    </div>
+                `;
+    });
+    document.getElementById('qadaGrid').innerHTML = html;
+
+    const payoffStr = formatDateTime(summary.payoffDate, {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+    document.getElementById('qadaSummary').textContent = summary.total === 0 ?
+        t('qada.none') :
+        t('qada.summary', {
+            total: summary.total,
+            date: payoffStr,
+            days: t('duration.days', { count: summary.payoffDays })
+        });
+
+    document.getElementById('qadaSection').classList.toggle('clear', summary.total === 0);
+    document.getElementById('qadaRate').value = ledger.dailyRate;
+
+    let openingHtml = '';
+    QADA_PRAYERS.forEach(prayer => {
+        openingHtml += `
+                    <label class="offset-item">
+                        <span>${prayerLabel(prayer)}</span>
+                        <input type="number" id="opening-${prayer}" value="${ledger.openingBalance[prayer] || 0}" min="0" step="1">
+                    </label>
+                `;
+    });
+    document.getElementById('qadaOpeningInputs').innerHTML = openingHtml;
+}
+
+// Today's progress; prayers whose time has ended unprayed are no longer remaining
+export function updateStats() {
+    const completed = getTrackingData().completedPrayers[prayerTimesDateKey] || {};
+    const progress = getDayProgress(getPrayerDate(), prayerTimes, completed, now());
+
+    document.getElementById('completedCount').textContent = formatNumber(progress.completed);
+    document.getElementById('remainingCount').textContent = formatNumber(progress.remaining);
+}
+
+// Format an "HH:MM" time in the interface language and clock
+export function formatTime(time24) {
+    const [hours, minutes] = time24.split(':').map(Number);
+    return formatDateTime(Date.UTC(2000, 0, 1, hours, minutes), {
+        hour: 'numeric',
+        minute: '2-digit',
+        timeZone: 'UTC'
+    });
+}
+
+// Text from the user, a backup or a remote service, made safe to place in markup
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Time left until an instant, e.g. "2h 5m"
+export function getTimeDifference(from, to) {
+    const { hours, minutes } = getDuration(from, to);
+
+    if (hours > 0) {
+        return t('duration.hoursMinutes', { hours, minutes });
+    }
+    return t('duration.minutes', { minutes });
+}
+
+// Update date and time
+export function updateDateTime() {
+    const currentTime = now();
+
+    // Update current time
+    const timeStr = formatDateTime(currentTime, {
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        timeZone: locationTimeZone
+    });
+    document.getElementById('currentTime').textContent = timeStr;
+
+    // Update date
+    const options = {
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        timeZone: locationTimeZone
+    };
+    const dateStr = formatDateTime(currentTime, options);
+
+    // Use the Islamic date cached with the prayer times, unless they are still the previous day's
+    const islamicDateStr = islamicDate && getTodayKey(currentTime) === prayerTimesDateKey ?
+        islamicDate :
+        getIslamicDate(getLocationDate(currentTime));
+    document.getElementById('dateInfo').innerHTML =
+        `${dateStr}<br><small style="opacity: 0.9">${islamicDateStr}</small>`;
+}
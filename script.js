@@ -1,601 +1,286 @@
+// Salat Tracker
+// Entry module: starts the app and hands the functions used by inline event
+// handlers in index.html and the rendered templates to the page.
+
+import { closeBackup, exportBackup, importBackup, openBackup } from './backup.js';
+import { now } from './env.js';
+import { renderForbiddenSettings, saveForbiddenSettings } from './forbidden.js';
+import { hijriCalendars } from './hijri.js';
+import {
+    changeHistoryMonth, displayHistoryCalendar, displayHistoryDay, selectHistoryDate, setHistoryPrayerStatus
+} from './history.js';
+import { applyLanguage, prayerLabel, renderLanguageSettings, t } from './i18n.js';
+import {
+    closeLocationPanel, combinePrayers, onLocationSearch, openLocationPanel, removePlace, saveCurrentPlace,
+    saveTravelSettings, selectSavedPlace, selectSearchResult, setHomePlace, updateTravelMode, useDeviceLocation
+} from './locations.js';
+import {
+    addMasjidSchedule, closeMasjid, exportMasjid, importMasjid, openMasjid, removeMasjidSchedule, saveMasjid
+} from './masjid.js';
+import { renderReminderSettings, saveReminderSettings } from './notifications.js';
+import { asrSchools, calculationMethods, highLatitudeRules } from './prayertimes.js';
+import {
+    addFamilyMember, closeFamily, openFamily, removeFamilyMember, renameFamilyMember, renderProfileSwitcher,
+    switchProfile
+} from './profiles.js';
+import { payQadaDebt, QADA_PRAYERS, setQadaOpeningBalance } from './qada.js';
+import { closeQibla, openQibla } from './qibla.js';
+import { logMakeupFast, setFastStatus, toggleTaraweeh } from './ramadan.js';
+import {
+    displayPrayerTimes, displayQadaLedger, getPrayerRecordControls, updateDateTime, updatePrayerStatus, updateStats
+} from './render.js';
+import { defaultSettings, loadSettings, settings, storeSettings } from './settings.js';
+import { closeStatistics, openStatistics } from './statistics.js';
+import {
+    addMissedPrayer, getTrackingData, initStorage, setPrayerCompleted, updatePrayerRecord, updateStoredValue
+} from './storage.js';
+import { saveSyncSettings, setupSync } from './sync.js';
+import { getStartTime, getTodayKey, ishaEndRules } from './time.js';
+import {
+    changeTimetableMonth, closeTimetable, downloadTimetableCsv, downloadTimetableIcs, openTimetable, printTimetable
+} from './timetable.js';
+import {
+    checkDailyReset, checkForMissedPrayers, fetchPrayerTimes, getLocation, getPrayerDate, prayerTimes,
+    prayerTimesDateKey
+} from './today.js';
+import { getDefaultPrayerDetails, isPrayerDayOver, isPrayerMissed } from './tracking.js';
+import { toggleVoluntary } from './voluntary.js';
 
-// Global variables
-let prayerTimes = {};
-let currentLocation = { lat: 23.8103, lon: 90.4125 }; // Default: Dhaka
-let missedPrayers = {};
-let completedPrayers = {};
 let deferredPrompt;
-let islamicDate = ''; // Cache Islamic date to prevent constant changes
-
-// Load data from memory (instead of localStorage)
-try {
-    const storedMissed = window.memoryStorage?.missedPrayers;
-    const storedCompleted = window.memoryStorage?.completedPrayers;
-    if (storedMissed) missedPrayers = storedMissed;
-    if (storedCompleted) completedPrayers = storedCompleted;
-} catch (error) {
-    console.log('Memory storage not available, using fresh data');
-}
-
-// Memory storage fallback
-if (!window.memoryStorage) {
-    window.memoryStorage = {};
-}
-
-// Prayer names with Arabic
-const prayerNames = {
-    Fajr: { arabic: 'الفجر', icon: '🌅' },
-    Dhuhr: { arabic: 'الظهر', icon: '☀️' },
-    Asr: { arabic: 'العصر', icon: '🌤️' },
-    Maghrib: { arabic: 'المغرب', icon: '🌇' },
-    Isha: { arabic: 'العشاء', icon: '🌙' }
-};
+let waitingWorker = null;
 
 // Initialize app
 async function init() {
     updateDateTime();
     setInterval(updateDateTime, 1000);
 
+    await initStorage();
+    loadSettings();
+    applyLanguage();
+    renderProfileSwitcher();
+    document.getElementById('location').textContent = t('header.loadingLocation');
+
     await getLocation();
+    updateTravelMode();
     await fetchPrayerTimes();
 
     // Check and reset daily
     checkDailyReset();
 
-    // Update prayer times every minute
-    setInterval(() => {
+    // Update prayer times every minute, loading the next day's times at its Fajr
+    setInterval(async () => {
+        if (isPrayerDayOver(getPrayerDate(), prayerTimes, now())) {
+            // Record the night's missed prayers on the day they belong to first
+            checkForMissedPrayers();
+            checkDailyReset();
+            await fetchPrayerTimes();
+            return;
+        }
         updatePrayerStatus();
         checkForMissedPrayers();
+        updateStats();
     }, 60000);
 
     // Setup PWA
     setupPWA();
-}
-
-// Get user location
-async function getLocation() {
-    return new Promise((resolve) => {
-        if (navigator.geolocation) {
-            navigator.geolocation.getCurrentPosition(
-                (position) => {
-                    currentLocation.lat = position.coords.latitude;
-                    currentLocation.lon = position.coords.longitude;
-                    updateLocationDisplay();
-                    resolve();
-                },
-                (error) => {
-                    console.log('Using default location');
-                    updateLocationDisplay();
-                    resolve();
-                }
-            );
-        } else {
-            updateLocationDisplay();
-            resolve();
-        }
-    });
-}
-
-// Update location display
-async function updateLocationDisplay() {
-    try {
-        const response = await fetch(`https://nominatim.openstreetmap.org/reverse?lat=${currentLocation.lat}&lon=${currentLocation.lon}&format=json`);
-        const data = await response.json();
-        const city = data.address.city || data.address.town || data.address.village || 'Unknown';
-        const country = data.address.country || '';
-        document.getElementById('location').textContent = `${city}, ${country}`;
-    } catch (error) {
-        document.getElementById('location').textContent = 'Dhaka, Bangladesh';
-    }
-}
-
-// Fetch prayer times using Aladhan API
-async function fetchPrayerTimes() {
-    const today = new Date();
-    const dateStr = `${String(today.getDate()).padStart(2, '0')}-${String(today.getMonth() + 1).padStart(2, '0')}-${today.getFullYear()}`;
-
-    try {
-        // Using method=2 (University of Islamic Sciences, Karachi) with school=1 (Hanafi)
-        const response = await fetch(
-            `https://api.aladhan.com/v1/timings/${dateStr}?latitude=${currentLocation.lat}&longitude=${currentLocation.lon}&method=2&school=1`
-        );
-        const data = await response.json();
-
-        if (data.code === 200) {
-            prayerTimes = {
-                Fajr: data.data.timings.Fajr,
-                Sunrise: data.data.timings.Sunrise,
-                Dhuhr: data.data.timings.Dhuhr,
-                Asr: data.data.timings.Asr,
-                Maghrib: data.data.timings.Maghrib,
-                Isha: data.data.timings.Isha
-            };
-
-            // Handle Jummah (Friday)
-            if (today.getDay() === 5) {
-                prayerTimes.Jummah = prayerTimes.Dhuhr;
-            }
-
-            // Cache Islamic date from API to prevent constant changes
-            if (data.data.date.hijri) {
-                islamicDate = `${data.data.date.hijri.day} ${data.data.date.hijri.month.en} ${data.data.date.hijri.year} AH`;
-            }
-
-            displayPrayerTimes();
-            updatePrayerStatus();
-            checkForMissedPrayers();
-        }
-    } catch (error) {
-        console.error('Error fetching prayer times:', error);
-        // Use default times as fallback
-        useDefaultPrayerTimes();
-    }
-}
-
-// Fallback prayer times
-function useDefaultPrayerTimes() {
-    const today = new Date();
-    prayerTimes = {
-        Fajr: '05:00',
-        Sunrise: '06:15',
-        Dhuhr: '12:15',
-        Asr: '15:45',
-        Maghrib: '18:00',
-        Isha: '19:30'
-    };
-
-    if (today.getDay() === 5) {
-        prayerTimes.Jummah = prayerTimes.Dhuhr;
-    }
-
-    displayPrayerTimes();
-    updatePrayerStatus();
-}
-
-// Display prayer times
-function displayPrayerTimes() {
-    const container = document.getElementById('prayersList');
-    const today = new Date();
-    const todayKey = getTodayKey();
-    const isFriday = today.getDay() === 5;
-
-    let html = '';
-
-    const prayers = isFriday ?
-        ['Fajr', 'Jummah', 'Asr', 'Maghrib', 'Isha'] :
-        ['Fajr', 'Dhuhr', 'Asr', 'Maghrib', 'Isha'];
-
-    prayers.forEach(prayer => {
-        const displayName = prayer === 'Jummah' ? 'Jummah' : prayer;
-        const prayerData = prayer === 'Jummah' ?
-            { arabic: 'الجمعة', icon: '🕌' } :
-            prayerNames[prayer];
-
-        const time = prayerTimes[prayer];
-        const endTime = getEndTime(prayer);
-        const isCompleted = completedPrayers[todayKey] && completedPrayers[todayKey][prayer];
-
-        html += `
-                    <div class="prayer-card ${isCompleted ? 'completed' : ''}" id="prayer-${prayer}">
-                        <div class="prayer-header">
-                            <div class="prayer-name">
-                                <div class="prayer-icon">${prayerData.icon}</div>
-                                <span>${displayName}</span>
-                            </div>
-                            <div class="prayer-time">${formatTime(time)}</div>
-                        </div>
-                        <div class="prayer-details">
-                            <span>Start: ${formatTime(time)} | End: ${formatTime(endTime)}</span>
-                            <span>${prayerData.arabic}</span>
-                        </div>
-                        <div class="prayer-checkbox">
-                            <input type="checkbox" id="check-${prayer}" 
-                                ${isCompleted ? 'checked' : ''} 
-                                onchange="togglePrayer('${prayer}')">
-                            <label for="check-${prayer}">
-                                ${prayer === 'Jummah' ? 'Attended Jummah Prayer' : 'Mark as Prayed'}
-                            </label>
-                        </div>
-                    </div>
-                `;
-    });
-
-    container.innerHTML = html;
-    updateStats();
-}
-
-// Get end time for prayer
-function getEndTime(prayer) {
-    const prayers = Object.keys(prayerTimes);
-    const index = prayers.indexOf(prayer === 'Jummah' ? 'Dhuhr' : prayer);
-
-    if (prayer === 'Fajr') {
-        return prayerTimes.Sunrise;
-    } else if (index < prayers.length - 1) {
-        return prayerTimes[prayers[index + 1]];
-    } else {
-        // Isha ends at midnight
-        return '23:59';
-    }
-}
-
-// Update prayer status (active/forbidden)
-function updatePrayerStatus() {
-    const now = new Date();
-    const currentTime = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
-    const isFriday = now.getDay() === 5;
-
-    // Check forbidden times
-    const isForbidden = isInForbiddenTime(currentTime);
-    document.getElementById('forbiddenBanner').classList.toggle('show', isForbidden);
-
-    // Update active prayer
-    const prayers = isFriday ?
-        ['Fajr', 'Jummah', 'Asr', 'Maghrib', 'Isha'] :
-        ['Fajr', 'Dhuhr', 'Asr', 'Maghrib', 'Isha'];
-
-    prayers.forEach(prayer => {
-        const card = document.getElementById(`prayer-${prayer}`);
-        if (card) {
-            const prayerTime = prayerTimes[prayer === 'Jummah' ? 'Dhuhr' : prayer];
-            const endTime = getEndTime(prayer);
-
-            card.classList.remove('active', 'forbidden');
-
-            if (isTimeInRange(currentTime, prayerTime, endTime)) {
-                if (!isForbidden) {
-                    card.classList.add('active');
-                }
-            }
-
-            if (isForbidden && isTimeInRange(currentTime, prayerTime, endTime)) {
-                card.classList.add('forbidden');
-            }
-        }
-    });
-
-    // Update next prayer
-    updateNextPrayer();
-}
-
-// Check if current time is in forbidden time
-function isInForbiddenTime(currentTime) {
-    // Simplified forbidden times check
-    const sunrise = addMinutes(prayerTimes.Fajr, 90);
-    const sunriseEnd = prayerTimes.Sunrise;
-    const zenith = subtractMinutes(prayerTimes.Dhuhr, 10);
-    const zenithEnd = prayerTimes.Dhuhr;
-    const sunset = subtractMinutes(prayerTimes.Maghrib, 15);
-    const sunsetEnd = prayerTimes.Maghrib;
-
-    return isTimeInRange(currentTime, sunrise, sunriseEnd) ||
-        isTimeInRange(currentTime, zenith, zenithEnd) ||
-        isTimeInRange(currentTime, sunset, sunsetEnd);
-}
-
-// Update next prayer display
-function updateNextPrayer() {
-    const now = new Date();
-    const currentTime = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
-    const isFriday = now.getDay() === 5;
-
-    const prayers = isFriday ?
-        ['Fajr', 'Jummah', 'Asr', 'Maghrib', 'Isha'] :
-        ['Fajr', 'Dhuhr', 'Asr', 'Maghrib', 'Isha'];
-
-    let nextPrayer = null;
-    let nextTime = null;
-
-    for (let prayer of prayers) {
-        const prayerTime = prayerTimes[prayer === 'Jummah' ? 'Dhuhr' : prayer];
-        if (currentTime < prayerTime) {
-            nextPrayer = prayer;
-            nextTime = prayerTime;
-            break;
-        }
-    }
 
-    if (!nextPrayer) {
-        nextPrayer = 'Fajr';
-        nextTime = prayerTimes.Fajr;
-        document.getElementById('nextPrayer').textContent = `Next: ${nextPrayer} (Tomorrow) at ${formatTime(nextTime)}`;
-    } else {
-        const timeDiff = getTimeDifference(currentTime, nextTime);
-        document.getElementById('nextPrayer').textContent = `Next: ${nextPrayer} in ${timeDiff} at ${formatTime(nextTime)}`;
-    }
+    setupSync();
 }
 
 // Toggle prayer completion
 function togglePrayer(prayer) {
-    const todayKey = getTodayKey();
+    const todayKey = prayerTimesDateKey;
     const checkbox = document.getElementById(`check-${prayer}`);
+    const currentTime = now();
 
-    if (!completedPrayers[todayKey]) {
-        completedPrayers[todayKey] = {};
-    }
+    // Marking as prayed also removes it from missed
+    setPrayerCompleted(todayKey, prayer, checkbox.checked,
+        getDefaultPrayerDetails(prayer, getPrayerDate(), prayerTimes, currentTime));
 
     if (checkbox.checked) {
-        completedPrayers[todayKey][prayer] = true;
-        // Remove from missed if it was there
-        if (missedPrayers[todayKey] && missedPrayers[todayKey][prayer]) {
-            delete missedPrayers[todayKey][prayer];
-            if (Object.keys(missedPrayers[todayKey]).length === 0) {
-                delete missedPrayers[todayKey];
-            }
-        }
         document.getElementById(`prayer-${prayer}`).classList.add('completed');
+        document.getElementById(`record-${prayer}`).innerHTML =
+            getPrayerRecordControls(todayKey, prayer, getTrackingData().completedPrayers[todayKey][prayer]);
     } else {
-        delete completedPrayers[todayKey][prayer];
-        if (Object.keys(completedPrayers[todayKey]).length === 0) {
-            delete completedPrayers[todayKey];
-        }
         document.getElementById(`prayer-${prayer}`).classList.remove('completed');
+        document.getElementById(`record-${prayer}`).innerHTML = '';
 
-        // Check if this prayer should be marked as missed
-        const now = new Date();
-        const currentTime = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
-        const endTime = getEndTime(prayer);
-
-        // If current time is past the prayer end time, mark as missed
-        if (currentTime > endTime) {
-            if (!missedPrayers[todayKey]) {
-                missedPrayers[todayKey] = {};
-            }
-            missedPrayers[todayKey][prayer] = {
-                date: todayKey,
-                time: prayerTimes[prayer === 'Jummah' ? 'Dhuhr' : prayer]
-            };
+        // Unmarked after its time has ended, the prayer is missed
+        if (isPrayerMissed(prayer, getPrayerDate(), prayerTimes, {}, currentTime)) {
+            addMissedPrayer(todayKey, prayer, getStartTime(prayer, prayerTimes));
         }
     }
 
-    // Store in memory
-    window.memoryStorage.completedPrayers = completedPrayers;
-    window.memoryStorage.missedPrayers = missedPrayers;
+    // The forbidden windows after Fajr and Asr open once those are prayed
+    if (prayer === 'Fajr' || prayer === 'Asr') {
+        displayPrayerTimes();
+        updatePrayerStatus();
+    }
 
     updateStats();
-    displayMissedPrayers();
+    displayQadaLedger();
+    displayHistoryCalendar();
 }
 
-// Check for missed prayers
-function checkForMissedPrayers() {
-    const now = new Date();
-    const currentTime = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
-    const todayKey = getTodayKey();
-    const isFriday = now.getDay() === 5;
-
-    const prayers = isFriday ?
-        ['Fajr', 'Jummah', 'Asr', 'Maghrib', 'Isha'] :
-        ['Fajr', 'Dhuhr', 'Asr', 'Maghrib', 'Isha'];
-
-    prayers.forEach(prayer => {
-        const endTime = getEndTime(prayer);
-
-        if (currentTime > endTime) {
-            // Prayer time has passed
-            if (!completedPrayers[todayKey] || !completedPrayers[todayKey][prayer]) {
-                // Prayer was not completed
-                if (!missedPrayers[todayKey]) {
-                    missedPrayers[todayKey] = {};
-                }
-
-                if (!missedPrayers[todayKey][prayer]) {
-                    missedPrayers[todayKey][prayer] = {
-                        date: todayKey,
-                        time: prayerTimes[prayer === 'Jummah' ? 'Dhuhr' : prayer]
-                    };
-                    window.memoryStorage.missedPrayers = missedPrayers;
-                }
-            }
-        }
-    });
-
-    displayMissedPrayers();
+function setPrayerDetail(dateKey, prayer, field, value) {
+    const parsed = { null: null, true: true, false: false }[value];
+    updatePrayerRecord(dateKey, prayer, { [field]: parsed === undefined ? value : parsed });
 }
 
-// Display missed prayers summary
-function displayMissedPrayers() {
-    const missedCounts = {};
-    let totalMissed = 0;
+// Log a make-up prayer against the oldest debt
+function logQadaPrayer(prayer) {
+    updateStoredValue('qadaLedger', ledger => payQadaDebt(ledger, prayer, getTodayKey()));
+    displayQadaLedger();
+}
 
-    // Count missed prayers by type from ALL dates
-    Object.keys(missedPrayers).forEach(dateKey => {
-        Object.keys(missedPrayers[dateKey]).forEach(prayer => {
-            if (!missedCounts[prayer]) {
-                missedCounts[prayer] = 0;
-            }
-            missedCounts[prayer]++;
-            totalMissed++;
-        });
+function updateQadaRate() {
+    const rate = Math.max(1, parseInt(document.getElementById('qadaRate').value) || 1);
+    updateStoredValue('qadaLedger', ledger => {
+        ledger.dailyRate = rate;
     });
+    displayQadaLedger();
+}
 
-    const missedSection = document.getElementById('missedSection');
-    const missedGrid = document.getElementById('missedPrayersGrid');
-
-    if (totalMissed === 0) {
-        missedSection.style.display = 'none';
-        return;
-    }
-
-    missedSection.style.display = 'block';
+function saveOpeningBalance() {
+    const balance = {};
+    QADA_PRAYERS.forEach(prayer => {
+        balance[prayer] = document.getElementById(`opening-${prayer}`).value;
+    });
+    updateStoredValue('qadaLedger', ledger => setQadaOpeningBalance(ledger, balance));
+    displayQadaLedger();
+}
 
-    let html = '';
-    Object.keys(missedCounts).forEach(prayer => {
-        html += `
-                    <div class="missed-prayer-item">
-                        <div class="missed-prayer-name">${prayer}</div>
-                        <div class="missed-count">${missedCounts[prayer]}</div>
-                    </div>
+// Settings panel
+function openSettings() {
+    // Choices with a translation prefix are labelled from the catalog, the rest by their own name
+    const optionsHtml = (choices, selected, prefix) => Object.keys(choices).map(id =>
+        `<option value="${id}" ${id === String(selected) ? 'selected' : ''}>${prefix ? t(`${prefix}.${id}`) : choices[id].name}</option>`
+    ).join('');
+
+    document.getElementById('settingMethod').innerHTML = optionsHtml(calculationMethods, settings.method);
+    document.getElementById('settingSchool').innerHTML = optionsHtml(asrSchools, settings.school, 'school');
+    document.getElementById('settingHighLatitude').innerHTML =
+        optionsHtml(highLatitudeRules, settings.highLatitudeRule, 'highLatitude');
+    document.getElementById('settingIshaEnd').innerHTML = optionsHtml(ishaEndRules, settings.ishaEnd, 'ishaEnd');
+    document.getElementById('settingHijriCalendar').innerHTML =
+        optionsHtml(hijriCalendars, settings.hijriCalendar, 'hijriCalendar');
+    document.getElementById('settingHijriAdjustment').value = settings.hijriAdjustment;
+    document.getElementById('settingTrackVoluntary').checked = settings.trackVoluntary;
+
+    let offsetsHtml = '';
+    Object.keys(settings.offsets).forEach(prayer => {
+        offsetsHtml += `
+                    <label class="offset-item">
+                        <span>${prayerLabel(prayer)}</span>
+                        <input type="number" id="offset-${prayer}" value="${settings.offsets[prayer]}" min="-60" max="60" step="1">
+                    </label>
                 `;
     });
+    document.getElementById('settingOffsets').innerHTML = offsetsHtml;
 
-    missedGrid.innerHTML = html;
-}
+    renderLanguageSettings();
+    renderReminderSettings();
+    renderForbiddenSettings();
 
-// Update statistics
-function updateStats() {
-    const todayKey = getTodayKey();
-    const today = new Date();
-    const isFriday = today.getDay() === 5;
-
-    const prayers = isFriday ?
-        ['Fajr', 'Jummah', 'Asr', 'Maghrib', 'Isha'] :
-        ['Fajr', 'Dhuhr', 'Asr', 'Maghrib', 'Isha'];
-
-    let completed = 0;
-    if (completedPrayers[todayKey]) {
-        prayers.forEach(prayer => {
-            if (completedPrayers[todayKey][prayer]) {
-                completed++;
-            }
-        });
-    }
-
-    document.getElementById('completedCount').textContent = completed;
-    document.getElementById('remainingCount').textContent = 5 - completed;
+    document.getElementById('settingsPanel').classList.add('show');
 }
 
-// Check and perform daily reset
-function checkDailyReset() {
-    const lastReset = window.memoryStorage.lastReset;
-    const today = new Date().toDateString();
-
-    if (lastReset !== today) {
-        // It's a new day, but don't delete old data
-        window.memoryStorage.lastReset = today;
-
-        // Clean up old data (keep only last 30 days)
-        cleanOldData();
-    }
+function closeSettings() {
+    document.getElementById('settingsPanel').classList.remove('show');
 }
 
-// Clean up old data
-function cleanOldData() {
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-
-    // Clean missed prayers
-    Object.keys(missedPrayers).forEach(dateKey => {
-        const [day, month, year] = dateKey.split('-');
-        const date = new Date(year, month - 1, day);
-        if (date < thirtyDaysAgo) {
-            delete missedPrayers[dateKey];
-        }
+async function saveSettings() {
+    // An hour either way at most, so a typo cannot push a time past the next prayer
+    const offsets = {};
+    Object.keys(defaultSettings.offsets).forEach(prayer => {
+        const minutes = parseInt(document.getElementById(`offset-${prayer}`).value) || 0;
+        offsets[prayer] = Math.max(-60, Math.min(60, minutes));
     });
 
-    // Clean completed prayers
-    Object.keys(completedPrayers).forEach(dateKey => {
-        const [day, month, year] = dateKey.split('-');
-        const date = new Date(year, month - 1, day);
-        if (date < thirtyDaysAgo) {
-            delete completedPrayers[dateKey];
-        }
+    storeSettings({
+        method: Number(document.getElementById('settingMethod').value),
+        school: Number(document.getElementById('settingSchool').value),
+        highLatitudeRule: Number(document.getElementById('settingHighLatitude').value),
+        ishaEnd: document.getElementById('settingIshaEnd').value,
+        offsets,
+        hijriCalendar: document.getElementById('settingHijriCalendar').value,
+        hijriAdjustment: Math.max(-2, Math.min(2, parseInt(document.getElementById('settingHijriAdjustment').value) || 0)),
+        trackVoluntary: document.getElementById('settingTrackVoluntary').checked,
+        language: document.getElementById('settingLanguage').value,
+        timeFormat: document.getElementById('settingTimeFormat').value,
+        digits: document.getElementById('settingDigits').value
     });
+    await saveReminderSettings();
+    saveForbiddenSettings();
 
-    window.memoryStorage.completedPrayers = completedPrayers;
-    window.memoryStorage.missedPrayers = missedPrayers;
-}
-
-// Utility Functions
-function getTodayKey() {
-    const today = new Date();
-    return `${today.getDate()}-${today.getMonth() + 1}-${today.getFullYear()}`;
-}
-
-function formatTime(time24) {
-    const [hours, minutes] = time24.split(':');
-    const h = parseInt(hours);
-    const ampm = h >= 12 ? 'PM' : 'AM';
-    const h12 = h % 12 || 12;
-    return `${h12}:${minutes} ${ampm}`;
-}
-
-function isTimeInRange(current, start, end) {
-    return current >= start && current <= end;
+    closeSettings();
+    applyLanguage();
+    await fetchPrayerTimes();
+    // Redraw what fetchPrayerTimes() leaves in the previous language
+    updateDateTime();
+    displayHistoryCalendar();
+    displayHistoryDay();
 }
 
-function addMinutes(time, minutes) {
-    const [h, m] = time.split(':').map(Number);
-    const totalMinutes = h * 60 + m + minutes;
-    const newH = Math.floor(totalMinutes / 60) % 24;
-    const newM = totalMinutes % 60;
-    return `${String(newH).padStart(2, '0')}:${String(newM).padStart(2, '0')}`;
-}
+// PWA Installation
+function setupPWA() {
+    // Handle install prompt
+    window.addEventListener('beforeinstallprompt', (e) => {
+        e.preventDefault();
+        deferredPrompt = e;
+        document.getElementById('installPrompt').style.display = 'block';
+    });
 
-function subtractMinutes(time, minutes) {
-    return addMinutes(time, -minutes);
+    registerServiceWorker();
 }
 
-function getTimeDifference(from, to) {
-    const [fromH, fromM] = from.split(':').map(Number);
-    const [toH, toM] = to.split(':').map(Number);
-
-    let diffMinutes = (toH * 60 + toM) - (fromH * 60 + fromM);
-
-    if (diffMinutes < 0) {
-        diffMinutes += 24 * 60; // Add 24 hours if negative
+// Register the service worker and offer a reload when a new version is waiting
+async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+        return;
     }
 
-    const hours = Math.floor(diffMinutes / 60);
-    const minutes = diffMinutes % 60;
+    try {
+        const registration = await navigator.serviceWorker.register('sw.js');
 
-    if (hours > 0) {
-        return `${hours}h ${minutes}m`;
-    }
-    return `${minutes}m`;
-}
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            showUpdatePrompt(registration.waiting);
+        }
 
-// Update date and time
-function updateDateTime() {
-    const now = new Date();
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                // Only an update when a previous worker already controls the page
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    showUpdatePrompt(worker);
+                }
+            });
+        });
 
-    // Update current time
-    const timeStr = now.toLocaleTimeString('en-US', {
-        hour: '2-digit',
-        minute: '2-digit',
-        second: '2-digit',
-        hour12: true
-    });
-    document.getElementById('currentTime').textContent = timeStr;
-
-    // Update date
-    const options = {
-        weekday: 'long',
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-    };
-    const dateStr = now.toLocaleDateString('en-US', options);
-
-    // Use cached Islamic date or fallback
-    const islamicDateStr = islamicDate || getApproximateIslamicDate(now);
-    document.getElementById('dateInfo').innerHTML =
-        `${dateStr}<br><small style="opacity: 0.9">${islamicDateStr}</small>`;
+        // The first install claims the page too, which needs no reload
+        const hadController = Boolean(navigator.serviceWorker.controller);
+        let reloading = false;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (hadController && !reloading) {
+                reloading = true;
+                window.location.reload();
+            }
+        });
+    } catch (error) {
+        console.error('Service worker registration failed:', error);
+    }
 }
 
-// Get approximate Islamic date (fallback when API doesn't provide it)
-function getApproximateIslamicDate(date) {
-    const islamicMonths = [
-        'Muharram', 'Safar', 'Rabi\' al-Awwal', 'Rabi\' al-Thani',
-        'Jumada al-Awwal', 'Jumada al-Thani', 'Rajab', 'Sha\'ban',
-        'Ramadan', 'Shawwal', 'Dhu al-Qi\'dah', 'Dhu al-Hijjah'
-    ];
-
-    // Very simplified calculation for fallback (not accurate)
-    const islamicYear = 1446; // Current approximate year
-    const monthIndex = Math.floor(Math.random() * 12); // Random for demo
-    const day = Math.floor(Math.random() * 28) + 1;
-
-    return `${day} ${islamicMonths[monthIndex]} ${islamicYear} AH`;
+function showUpdatePrompt(worker) {
+    waitingWorker = worker;
+    document.getElementById('updatePrompt').style.display = 'block';
 }
 
-// PWA Installation
-function setupPWA() {
-    // Handle install prompt
-    window.addEventListener('beforeinstallprompt', (e) => {
-        e.preventDefault();
-        deferredPrompt = e;
-        document.getElementById('installPrompt').style.display = 'block';
-    });
+function applyUpdate() {
+    if (waitingWorker) {
+        waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+    }
+    document.getElementById('updatePrompt').style.display = 'none';
 }
 
 function installApp() {
@@ -615,5 +300,18 @@ function dismissInstall() {
     document.getElementById('installPrompt').style.display = 'none';
 }
 
+// Functions called from inline event handlers in index.html and the rendered templates
+Object.assign(window, {
+    addFamilyMember, addMasjidSchedule, applyUpdate, changeHistoryMonth, changeTimetableMonth, closeBackup,
+    closeFamily, closeLocationPanel, closeMasjid, closeQibla, closeSettings, closeStatistics, closeTimetable,
+    combinePrayers, dismissInstall, downloadTimetableCsv, downloadTimetableIcs, exportBackup, exportMasjid,
+    importBackup, importMasjid, installApp, logMakeupFast, logQadaPrayer, onLocationSearch, openBackup, openFamily,
+    openLocationPanel, openMasjid, openQibla, openSettings, openStatistics, openTimetable, printTimetable,
+    removeFamilyMember, removeMasjidSchedule, removePlace, renameFamilyMember, saveCurrentPlace, saveMasjid,
+    saveOpeningBalance, saveSettings, saveSyncSettings, saveTravelSettings, selectHistoryDate, selectSavedPlace,
+    selectSearchResult, setFastStatus, setHistoryPrayerStatus, setHomePlace, setPrayerDetail, switchProfile,
+    togglePrayer, toggleTaraweeh, toggleVoluntary, updateQadaRate, useDeviceLocation
+});
+
 // Start the app
 window.addEventListener('DOMContentLoaded', init);
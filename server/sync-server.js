@@ -0,0 +1,156 @@
+// Reference sync server for Salat Tracker
+// Stores one JSON document per bearer token, with a revision number so two
+// devices cannot overwrite each other's changes. Merging happens in the app.
+//
+// Run with Node.js 18 or later, no dependencies needed:
+//   PORT=8787 DATA_DIR=./sync-data node server/sync-server.js
+// then enter http://your-host:8787 and any long random token in the app.
+
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+
+const SERVER_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(SERVER_DIR, 'sync-data'));
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || '*';
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+fs.mkdirSync(DATA_DIR, { recursive: true });
+
+// Tokens are never written to disk, only a hash naming each user's file
+function documentPath(token) {
+    const name = crypto.createHash('sha256').update(token).digest('hex');
+    return path.join(DATA_DIR, `${name}.json`);
+}
+
+function readDocument(token) {
+    try {
+        return JSON.parse(fs.readFileSync(documentPath(token), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+// Write to a temporary file first so a crash never leaves half a document
+function writeDocument(token, document) {
+    const file = documentPath(token);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(document));
+    fs.renameSync(`${file}.tmp`, file);
+}
+
+// Past MAX_BODY_BYTES the rest of the body is read and dropped rather than the
+// connection torn down, so the client still receives the 413
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        let chunks = [];
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                if (chunks) {
+                    chunks = null;
+                    reject(Object.assign(new Error('Body too large'), { status: 413 }));
+                }
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => chunks && resolve(Buffer.concat(chunks).toString('utf8')));
+        request.on('error', reject);
+    });
+}
+
+function send(response, status, body, headers = {}) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store',
+        ...headers
+    });
+    response.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+async function handle(request, response) {
+    response.setHeader('Access-Control-Allow-Origin', ALLOWED_ORIGIN);
+    response.setHeader('Access-Control-Allow-Methods', 'GET, PUT, OPTIONS');
+    response.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204);
+        response.end();
+        return;
+    }
+
+    const { pathname } = new URL(request.url, 'http://localhost');
+    if (pathname.replace(/\/+$/, '') !== '/data') {
+        send(response, 404, { error: 'Not found' });
+        return;
+    }
+
+    const match = /^Bearer (.{16,})$/.exec(request.headers.authorization || '');
+    if (!match) {
+        send(response, 401, { error: 'A bearer token of at least 16 characters is required' });
+        return;
+    }
+    const token = match[1];
+
+    if (request.method === 'GET') {
+        const stored = readDocument(token);
+        if (stored) {
+            send(response, 200, stored);
+        } else {
+            send(response, 404, { error: 'Nothing stored yet' });
+        }
+        return;
+    }
+
+    if (request.method === 'PUT') {
+        let body;
+        try {
+            body = JSON.parse(await readBody(request));
+        } catch (error) {
+            if (error.status === 413) {
+                // Close the connection rather than wait for the rest of an oversize body
+                send(response, 413, { error: error.message }, { Connection: 'close' });
+            } else {
+                send(response, 400, { error: 'Invalid JSON' });
+            }
+            return;
+        }
+
+        if (!Number.isInteger(body.revision) || !body.data || typeof body.data !== 'object') {
+            send(response, 400, { error: 'Expected { revision, data }' });
+            return;
+        }
+
+        // Reject writes based on an old copy; the app pulls, merges and tries again
+        const stored = readDocument(token);
+        const currentRevision = stored ? stored.revision : 0;
+        if (body.revision !== currentRevision) {
+            send(response, 409, { error: 'Revision conflict', revision: currentRevision });
+            return;
+        }
+
+        const revision = currentRevision + 1;
+        writeDocument(token, { revision, updatedAt: new Date().toISOString(), data: body.data });
+        send(response, 200, { revision });
+        return;
+    }
+
+    send(response, 405, { error: 'Method not allowed' });
+}
+
+http.createServer((request, response) => {
+    handle(request, response).catch(error => {
+        console.error(error);
+        send(response, 500, { error: 'Server error' });
+    });
+}).listen(PORT, () => {
+    console.log(`Salat Tracker sync server listening on port ${PORT}, storing data in ${DATA_DIR}`);
+});
@@ -0,0 +1,44 @@
+// Settings of the active profile
+// Calculation settings use Aladhan API ids for method, school and high-latitude rule.
+
+import { getStoredValue, setStoredValue } from './storage.js';
+import { getZoneOffsetHours } from './timezone.js';
+
+export const defaultSettings = {
+    method: 2, // Islamic Society of North America
+    school: 1, // Hanafi
+    highLatitudeRule: 3, // Angle-based
+    ishaEnd: 'fajr', // Isha is prayed on time until true dawn; see ishaEndRules in time.js
+    offsets: { Fajr: 0, Dhuhr: 0, Asr: 0, Maghrib: 0, Isha: 0 },
+    hijriCalendar: 'ummalqura',
+    hijriAdjustment: 0, // Days, for local moon sighting
+    trackVoluntary: false, // Sunnah, Witr, Duha and Tahajjud checkboxes
+    language: 'auto', // 'en', 'ar', 'bn', or 'auto' for the browser's language
+    timeFormat: 'auto', // '12', '24', or 'auto' for the language's usual clock
+    digits: 'native' // The language's own digits, or 'latin'
+};
+
+export let settings = { ...defaultSettings, offsets: { ...defaultSettings.offsets } };
+
+// Load the active profile's settings; settings saved by older versions lack newer fields
+export function loadSettings() {
+    settings = { ...defaultSettings, offsets: { ...defaultSettings.offsets }, ...getStoredValue('settings') };
+}
+
+export function storeSettings(newSettings) {
+    settings = newSettings;
+    setStoredValue('settings', settings);
+}
+
+// Build the Aladhan query parameters for the selected calculation settings
+export function getCalculationQuery() {
+    // tune order: Imsak, Fajr, Sunrise, Dhuhr, Asr, Maghrib, Sunset, Isha, Midnight
+    const o = settings.offsets;
+    const tune = [0, o.Fajr, 0, o.Dhuhr, o.Asr, o.Maghrib, 0, o.Isha, 0].join(',');
+    return `method=${settings.method}&school=${settings.school}&latitudeAdjustmentMethod=${settings.highLatitudeRule}&tune=${tune}`;
+}
+
+// Offline calculator options for a day, in the location's UTC offset on that day
+export function getCalculationOptions(date) {
+    return { ...settings, timezone: getZoneOffsetHours(date) };
+}
@@ -0,0 +1,347 @@
+// Statistics computed from the stored history
+// Jummah is counted in the Dhuhr slot so every day has the same five prayers.
+
+import { now } from './env.js';
+import { formatDateTime, formatNumber, formatPercent, prayerLabel, t } from './i18n.js';
+import { dateFromKey, getTrackingData } from './storage.js';
+import { getDateKey } from './time.js';
+import { getLocationDate } from './timezone.js';
+import { VOLUNTARY_IDS } from './voluntary.js';
+
+const STAT_PRAYERS = ['Fajr', 'Dhuhr', 'Asr', 'Maghrib', 'Isha'];
+
+// Whether a prayer slot was completed on a date
+function isSlotCompleted(completedPrayers, date, prayer) {
+    return Boolean(getSlotRecord(completedPrayers, date, prayer));
+}
+
+// The completed prayer's record for a slot, or undefined
+function getSlotRecord(completedPrayers, date, prayer) {
+    const day = completedPrayers[getDateKey(date)];
+    if (!day) {
+        return undefined;
+    }
+    return day[prayer] || (prayer === 'Dhuhr' ? day.Jummah : undefined);
+}
+
+// First day with any tracking data, or null if there is none
+function getFirstTrackedDate(completedPrayers, missedPrayers) {
+    const keys = [...Object.keys(completedPrayers), ...Object.keys(missedPrayers)];
+    if (keys.length === 0) {
+        return null;
+    }
+    return keys.map(dateFromKey).reduce((earliest, date) => date < earliest ? date : earliest);
+}
+
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+// Current and longest run of consecutive days where `isComplete` holds
+// Today only extends the current streak once it is complete, it never breaks it
+function computeStreak(isComplete, firstDate, today) {
+    if (!firstDate) {
+        return { current: 0, longest: 0 };
+    }
+
+    let longest = 0;
+    let run = 0;
+    for (let date = firstDate; date <= today; date = addDays(date, 1)) {
+        run = isComplete(date) ? run + 1 : 0;
+        longest = Math.max(longest, run);
+    }
+
+    let current = 0;
+    let date = isComplete(today) ? today : addDays(today, -1);
+    while (date >= firstDate && isComplete(date)) {
+        current++;
+        date = addDays(date, -1);
+    }
+
+    return { current, longest };
+}
+
+// Share of prayers completed over the `days` days before today, since tracking began
+function computeCompletionRate(completedPrayers, firstDate, today, days, prayers = STAT_PRAYERS) {
+    if (!firstDate) {
+        return null;
+    }
+
+    let completed = 0;
+    let total = 0;
+    for (let i = days; i >= 1; i--) {
+        const date = addDays(today, -i);
+        if (date < firstDate) {
+            continue;
+        }
+        prayers.forEach(prayer => {
+            total++;
+            if (isSlotCompleted(completedPrayers, date, prayer)) {
+                completed++;
+            }
+        });
+    }
+
+    return total === 0 ? null : completed / total;
+}
+
+// Weekly completion rates for the last `weeks` weeks, oldest first
+function computeWeeklyTrend(completedPrayers, firstDate, today, weeks) {
+    const trend = [];
+    for (let week = weeks - 1; week >= 0; week--) {
+        const weekEnd = addDays(today, -week * 7);
+        trend.push({
+            start: addDays(weekEnd, -7),
+            rate: computeCompletionRate(completedPrayers, firstDate, weekEnd, 7)
+        });
+    }
+    return trend;
+}
+
+// Prayer missed most often across all recorded history
+function computeMostMissed(missedPrayers) {
+    const counts = {};
+    Object.keys(missedPrayers).forEach(dateKey => {
+        Object.keys(missedPrayers[dateKey]).forEach(prayer => {
+            const slot = prayer === 'Jummah' ? 'Dhuhr' : prayer;
+            counts[slot] = (counts[slot] || 0) + 1;
+        });
+    });
+
+    const prayer = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+    return prayer ? { prayer, count: counts[prayer] } : null;
+}
+
+// Points towards the punctuality score; prayers marked before timings were
+// recorded count as on time, and missed or unmarked prayers score nothing
+const PUNCTUALITY_POINTS = { 'on-time': 1, late: 0.5, qada: 0.25 };
+
+// Punctuality score out of 100 and congregation share over the `days` days before today
+function computePunctuality(completedPrayers, firstDate, today, days) {
+    const counts = { 'on-time': 0, late: 0, qada: 0 };
+    let points = 0;
+    let slots = 0;
+    let congregation = 0;
+    let withPlace = 0;
+
+    for (let i = days; i >= 1; i--) {
+        const date = addDays(today, -i);
+        if (!firstDate || date < firstDate) {
+            continue;
+        }
+        STAT_PRAYERS.forEach(prayer => {
+            const record = getSlotRecord(completedPrayers, date, prayer);
+            slots++;
+            if (!record) {
+                return;
+            }
+
+            const timing = record.timing || 'on-time';
+            counts[timing]++;
+            points += PUNCTUALITY_POINTS[timing];
+
+            if (record.congregation !== null && record.congregation !== undefined) {
+                withPlace++;
+                congregation += record.congregation ? 1 : 0;
+            }
+        });
+    }
+
+    return {
+        score: slots === 0 ? null : Math.round(points / slots * 100),
+        counts,
+        congregationRate: withPlace === 0 ? null : congregation / withPlace
+    };
+}
+
+// Days each voluntary prayer was prayed in the last 30 days, and its streaks
+function computeVoluntaryStatistics(voluntaryPrayers, today) {
+    const firstDate = getFirstTrackedDate(voluntaryPrayers, {});
+    const result = {};
+
+    VOLUNTARY_IDS.forEach(id => {
+        const rate = computeCompletionRate(voluntaryPrayers, firstDate, today, 30, [id]);
+        result[id] = {
+            rate,
+            streak: computeStreak(date => isSlotCompleted(voluntaryPrayers, date, id), firstDate, today)
+        };
+    });
+
+    return firstDate ? result : null;
+}
+
+// Streaks, completion rates, punctuality and the weekly trend up to `date`, from
+// records keyed by getDateKey() as storage keeps them
+export function computeStatistics(completedPrayers, missedPrayers, date = now(), voluntaryPrayers = {}) {
+    const today = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const firstDate = getFirstTrackedDate(completedPrayers, missedPrayers);
+
+    const perPrayer = {};
+    STAT_PRAYERS.forEach(prayer => {
+        perPrayer[prayer] = {
+            streak: computeStreak(date => isSlotCompleted(completedPrayers, date, prayer), firstDate, today),
+            rate: computeCompletionRate(completedPrayers, firstDate, today, 30, [prayer])
+        };
+    });
+
+    return {
+        streak: computeStreak(
+            date => STAT_PRAYERS.every(prayer => isSlotCompleted(completedPrayers, date, prayer)),
+            firstDate,
+            today
+        ),
+        weekRate: computeCompletionRate(completedPrayers, firstDate, today, 7),
+        monthRate: computeCompletionRate(completedPrayers, firstDate, today, 30),
+        perPrayer,
+        mostMissed: computeMostMissed(missedPrayers),
+        punctuality: computePunctuality(completedPrayers, firstDate, today, 30),
+        trend: computeWeeklyTrend(completedPrayers, firstDate, today, 12),
+        voluntary: computeVoluntaryStatistics(voluntaryPrayers, today)
+    };
+}
+
+// Statistics panel
+export function openStatistics() {
+    displayStatistics();
+    document.getElementById('statsPanel').classList.add('show');
+}
+
+export function closeStatistics() {
+    document.getElementById('statsPanel').classList.remove('show');
+}
+
+function displayStatistics() {
+    const { completedPrayers, missedPrayers, voluntaryPrayers } = getTrackingData();
+    const stats = computeStatistics(completedPrayers, missedPrayers, getLocationDate(), voluntaryPrayers);
+    const tableHeader = `
+                <tr>
+                    <th>${t('stats.prayer')}</th>
+                    <th>${t('stats.rate')}</th>
+                    <th>${t('stats.streak')}</th>
+                    <th>${t('stats.best')}</th>
+                </tr>
+            `;
+
+    let html = `
+                <div class="stats-grid">
+                    <div class="stat-item">
+                        <div class="stat-value">${formatNumber(stats.streak.current)}</div>
+                        <div class="stat-label">${t('stats.currentStreak')}</div>
+                    </div>
+                    <div class="stat-item">
+                        <div class="stat-value">${formatNumber(stats.streak.longest)}</div>
+                        <div class="stat-label">${t('stats.longestStreak')}</div>
+                    </div>
+                    <div class="stat-item">
+                        <div class="stat-value">${formatPercent(stats.weekRate)}</div>
+                        <div class="stat-label">${t('stats.lastDays', { count: 7 })}</div>
+                    </div>
+                    <div class="stat-item">
+                        <div class="stat-value">${formatPercent(stats.monthRate)}</div>
+                        <div class="stat-label">${t('stats.lastDays', { count: 30 })}</div>
+                    </div>
+                    <div class="stat-item">
+                        <div class="stat-value">${stats.punctuality.score === null ? '–' : formatNumber(stats.punctuality.score)}</div>
+                        <div class="stat-label">${t('stats.punctuality')}</div>
+                    </div>
+                    <div class="stat-item">
+                        <div class="stat-value">${formatPercent(stats.punctuality.congregationRate)}</div>
+                        <div class="stat-label">${t('stats.inCongregation')}</div>
+                    </div>
+                </div>
+                <p class="stats-note">${t('stats.counts', {
+                    days: 30,
+                    onTime: stats.punctuality.counts['on-time'],
+                    late: stats.punctuality.counts.late,
+                    qada: stats.punctuality.counts.qada
+                })}</p>
+                <h3>${t('stats.byPrayer', { days: 30 })}</h3>
+                <table class="stats-table">
+                    ${tableHeader}
+            `;
+
+    STAT_PRAYERS.forEach(prayer => {
+        const data = stats.perPrayer[prayer];
+        html += `
+                    <tr>
+                        <td>${prayerLabel(prayer)}</td>
+                        <td>${formatPercent(data.rate)}</td>
+                        <td>${formatNumber(data.streak.current)}</td>
+                        <td>${formatNumber(data.streak.longest)}</td>
+                    </tr>
+                `;
+    });
+
+    html += `
+                </table>
+                <p class="stats-note">${stats.mostMissed ?
+                    t('stats.mostMissed', { prayer: prayerLabel(stats.mostMissed.prayer), count: stats.mostMissed.count }) :
+                    t('stats.noMissed')}</p>
+                <h3>${t('stats.weeklyTrend')}</h3>
+                ${renderTrendChart(stats.trend)}
+            `;
+
+    // Voluntary prayers are counted on their own, never towards the fard rates
+    if (stats.voluntary) {
+        html += `
+                    <h3>${t('stats.voluntary', { days: 30 })}</h3>
+                    <table class="stats-table">
+                        ${tableHeader}
+                `;
+        VOLUNTARY_IDS.forEach(id => {
+            const data = stats.voluntary[id];
+            // Sunnah prayers are named after their fard prayer, e.g. "Fajr sunnah before"
+            const name = t(id.includes('-') ? `voluntaryStat.${id}` : `voluntary.${id}`);
+            html += `
+                        <tr>
+                            <td>${name}</td>
+                            <td>${formatPercent(data.rate)}</td>
+                            <td>${formatNumber(data.streak.current)}</td>
+                            <td>${formatNumber(data.streak.longest)}</td>
+                        </tr>
+                    `;
+        });
+        html += `
+                    </table>
+                `;
+    }
+
+    document.getElementById('statsContent').innerHTML = html;
+}
+
+// Line chart of weekly completion rates as inline SVG
+function renderTrendChart(trend) {
+    const width = 300;
+    const height = 120;
+    const padding = 20;
+    const step = (width - padding * 2) / Math.max(1, trend.length - 1);
+    const y = (rate) => height - padding - rate * (height - padding * 2);
+
+    const label = (point) => formatDateTime(point.start, { month: 'short', day: 'numeric' });
+
+    let line = '';
+    let dots = '';
+    trend.forEach((point, i) => {
+        if (point.rate === null) {
+            return;
+        }
+        const x = padding + i * step;
+        line += `${x},${y(point.rate)} `;
+        dots += `<circle cx="${x}" cy="${y(point.rate)}" r="3"><title>${label(point)}: ${formatPercent(point.rate)}</title></circle>`;
+    });
+
+    const first = trend[0];
+    const last = trend[trend.length - 1];
+
+    return `
+                <svg class="trend-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${t('stats.trendLabel')}">
+                    <line x1="${padding}" y1="${y(1)}" x2="${width - padding}" y2="${y(1)}" class="grid-line"/>
+                    <line x1="${padding}" y1="${y(0.5)}" x2="${width - padding}" y2="${y(0.5)}" class="grid-line"/>
+                    <line x1="${padding}" y1="${y(0)}" x2="${width - padding}" y2="${y(0)}" class="grid-line"/>
+                    <polyline points="${line.trim()}" class="trend-line"/>
+                    ${dots}
+                    <text x="${padding}" y="${height - 4}">${label(first)}</text>
+                    <text x="${width - padding}" y="${height - 4}" text-anchor="end">${label(last)}</text>
+                </svg>
+            `;
+}
@@ -0,0 +1,472 @@
+// Persistent storage for tracking data and settings
+// Data is kept as one versioned document in IndexedDB, falling back to
+// localStorage (and finally memory) when IndexedDB is not available.
+
+import { now } from './env.js';
+import { addQadaDebt, cancelQadaDebt, createQadaLedger } from './qada.js';
+import { createFastingLog } from './ramadan.js';
+
+const STORAGE_NAME = 'salat-tracker';
+const STORAGE_DOCUMENT = 'data';
+export const SCHEMA_VERSION = 10;
+const DEFAULT_PROFILE = 'default';
+
+// Keys kept separately for each profile; the rest belong to the device
+const PROFILE_KEYS = [
+    'completedPrayers',
+    'missedPrayers',
+    'voluntaryPrayers',
+    'dayUpdatedAt',
+    'lastReset',
+    'settings',
+    'qadaLedger',
+    'fasting'
+];
+
+let storageBackend = null;
+let storageData = createEmptyData();
+let storageWriteQueue = Promise.resolve();
+const storageListeners = [];
+
+// Migrations keyed by the schema version they upgrade to
+const migrations = {
+    // Unversioned data in the shape window.memoryStorage used
+    1: (data) => ({
+        completedPrayers: data.completedPrayers || {},
+        missedPrayers: data.missedPrayers || {},
+        lastReset: data.lastReset || null,
+        settings: data.settings || null
+    }),
+    // Qada ledger seeded from the missed prayers still on record
+    2: (data) => {
+        const qadaLedger = createQadaLedger();
+        Object.keys(data.missedPrayers).forEach(dateKey => {
+            Object.keys(data.missedPrayers[dateKey]).forEach(prayer => {
+                addQadaDebt(qadaLedger, prayer, dateKey);
+            });
+        });
+        return { ...data, qadaLedger };
+    },
+    // Monthly timetable cache
+    3: (data) => ({ ...data, timetables: {} }),
+    // Manual location, saved places and travel mode
+    4: (data) => ({ ...data, location: createLocationSettings() }),
+    // Ramadan fasts and Taraweeh
+    5: (data) => ({ ...data, fasting: createFastingLog() }),
+    // Sunnah and voluntary prayers
+    6: (data) => ({ ...data, voluntaryPrayers: {} }),
+    // Completed prayers record when and how they were prayed instead of `true`
+    7: (data) => {
+        const completedPrayers = {};
+        Object.keys(data.completedPrayers).forEach(dateKey => {
+            completedPrayers[dateKey] = {};
+            Object.keys(data.completedPrayers[dateKey]).forEach(prayer => {
+                completedPrayers[dateKey][prayer] = createPrayerRecord();
+            });
+        });
+        return { ...data, completedPrayers };
+    },
+    // When each day's records last changed, for merging backups and synced copies
+    8: (data) => ({ ...data, dayUpdatedAt: {} }),
+    // Records and settings move into a profile so several people can share a device
+    9: (data) => {
+        const profile = createProfile('Me');
+        const device = {};
+        Object.keys(data).forEach(key => {
+            if (PROFILE_KEYS.includes(key)) {
+                profile[key] = data[key];
+            } else {
+                device[key] = data[key];
+            }
+        });
+        return {
+            ...device,
+            activeProfile: DEFAULT_PROFILE,
+            profiles: { [DEFAULT_PROFILE]: profile },
+            removedProfiles: []
+        };
+    },
+    // When each profile was last renamed, so a rename on one device reaches the others
+    10: (data) => {
+        Object.values(data.profiles).forEach(profile => {
+            profile.nameUpdatedAt = null;
+        });
+        return data;
+    }
+};
+
+export function createEmptyData() {
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        activeProfile: DEFAULT_PROFILE,
+        profiles: { [DEFAULT_PROFILE]: createProfile('Me') },
+        removedProfiles: [], // Ids of deleted profiles, so a synced copy does not bring them back
+        timetables: {},
+        location: createLocationSettings()
+    };
+}
+
+// A person's prayer records, settings, qada ledger and fasts
+export function createProfile(name) {
+    return {
+        name,
+        nameUpdatedAt: null, // When the name was last changed, in milliseconds
+        completedPrayers: {},
+        missedPrayers: {},
+        voluntaryPrayers: {},
+        dayUpdatedAt: {},
+        lastReset: null,
+        settings: null,
+        qadaLedger: createQadaLedger(),
+        fasting: createFastingLog()
+    };
+}
+
+// Details of a completed prayer; unknown fields stay null
+function createPrayerRecord(details = {}) {
+    return {
+        at: null, // When it was marked, in milliseconds
+        congregation: null, // true in congregation, false alone
+        timing: null, // 'on-time', 'late' or 'qada'
+        ...details
+    };
+}
+
+function createLocationSettings() {
+    return {
+        selected: null, // Chosen place, or null to use the device position
+        places: [], // Saved places such as Home and Work
+        travelDistanceKm: 80, // Around 48 miles, the common qasr distance
+        showCombining: true
+    };
+}
+
+// Open the best available backend and load stored data
+export async function initStorage() {
+    storageBackend = await openStorageBackend();
+
+    let stored = null;
+    try {
+        stored = await storageBackend.load();
+    } catch (error) {
+        console.error('Error loading stored data, changes will not be saved this session:', error);
+        // Saving the empty document would overwrite the records that failed to load
+        storageBackend = createMemoryBackend();
+    }
+
+    if (stored) {
+        const fromVersion = stored.schemaVersion || 0;
+        storageData = migrateData(stored);
+        if (fromVersion !== SCHEMA_VERSION) {
+            await persistData();
+        }
+    }
+
+    return storageData;
+}
+
+// Run every migration between the stored schema version and the current one
+export function migrateData(data) {
+    let version = data.schemaVersion || 0;
+
+    if (version > SCHEMA_VERSION) {
+        console.warn(`Stored data has newer schema version ${version}, expected ${SCHEMA_VERSION}`);
+        return data;
+    }
+
+    while (version < SCHEMA_VERSION) {
+        version++;
+        data = migrations[version](data);
+        data.schemaVersion = version;
+    }
+
+    return data;
+}
+
+async function openStorageBackend() {
+    try {
+        if (window.indexedDB) {
+            return await createIndexedDbBackend();
+        }
+    } catch (error) {
+        console.log('IndexedDB not available, falling back to localStorage');
+    }
+
+    try {
+        if (window.localStorage) {
+            return createLocalStorageBackend();
+        }
+    } catch (error) {
+        console.log('localStorage not available, data will not persist');
+    }
+
+    return createMemoryBackend();
+}
+
+// IndexedDB backend
+function createIndexedDbBackend() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(STORAGE_NAME, 1);
+
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(STORAGE_DOCUMENT);
+        };
+
+        request.onsuccess = () => {
+            const db = request.result;
+            const run = (mode, action) => new Promise((resolveTx, rejectTx) => {
+                const transaction = db.transaction(STORAGE_DOCUMENT, mode);
+                const result = action(transaction.objectStore(STORAGE_DOCUMENT));
+                transaction.oncomplete = () => resolveTx(result.result);
+                transaction.onerror = () => rejectTx(transaction.error);
+                // A full quota aborts the transaction without a failed request
+                transaction.onabort = () => rejectTx(transaction.error || new Error('Transaction aborted'));
+            });
+
+            resolve({
+                load: () => run('readonly', store => store.get(STORAGE_DOCUMENT)),
+                save: (data) => run('readwrite', store => store.put(data, STORAGE_DOCUMENT))
+            });
+        };
+
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// localStorage backend
+function createLocalStorageBackend() {
+    return {
+        load: async () => JSON.parse(localStorage.getItem(STORAGE_NAME)),
+        save: async (data) => localStorage.setItem(STORAGE_NAME, JSON.stringify(data))
+    };
+}
+
+// In-memory backend for browsers that block both
+function createMemoryBackend() {
+    return {
+        load: async () => null,
+        save: async () => {}
+    };
+}
+
+// Queue a write of the whole document so saves never overlap
+function persistData() {
+    const snapshot = JSON.parse(JSON.stringify(storageData));
+    storageWriteQueue = storageWriteQueue
+        .then(() => storageBackend && storageBackend.save(snapshot))
+        .catch(error => console.error('Error saving data:', error));
+    storageListeners.forEach(listener => listener());
+    return storageWriteQueue;
+}
+
+// Call `listener` after every change is queued for saving
+export function onStorageChange(listener) {
+    storageListeners.push(listener);
+}
+
+// Replace the whole document, e.g. with the result of a merge
+export function replaceStoredData(data) {
+    storageData = data;
+    return persistData();
+}
+
+// Note that a day's records changed now
+export function touchDay(dateKey) {
+    getProfileData().dayUpdatedAt[dateKey] = now().getTime();
+}
+
+// Profiles
+export function getProfileData(id = storageData.activeProfile) {
+    return storageData.profiles[id];
+}
+
+export function getActiveProfile() {
+    return storageData.activeProfile;
+}
+
+// Profile ids and names in the order they were added
+export function getProfiles() {
+    return Object.keys(storageData.profiles).map(id => ({ id, name: storageData.profiles[id].name }));
+}
+
+export function setActiveProfile(id) {
+    if (!storageData.profiles[id]) {
+        return Promise.resolve();
+    }
+    storageData.activeProfile = id;
+    return persistData();
+}
+
+// Add a profile, optionally starting from existing settings, returning its id
+export function addProfile(name, profileSettings = null) {
+    const id = `profile-${now().getTime().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    storageData.profiles[id] = { ...createProfile(name), settings: profileSettings };
+    persistData();
+    return id;
+}
+
+export function renameProfile(id, name) {
+    storageData.profiles[id].name = name;
+    storageData.profiles[id].nameUpdatedAt = now().getTime();
+    return persistData();
+}
+
+// Delete a profile and its records; the last profile cannot be removed
+export function removeProfile(id) {
+    if (!storageData.profiles[id] || Object.keys(storageData.profiles).length === 1) {
+        return Promise.resolve();
+    }
+
+    delete storageData.profiles[id];
+    storageData.removedProfiles.push(id);
+    if (storageData.activeProfile === id) {
+        storageData.activeProfile = Object.keys(storageData.profiles)[0];
+    }
+    return persistData();
+}
+
+// Read access, for the active profile unless another is given
+export function getTrackingData(id) {
+    const profile = getProfileData(id);
+    return {
+        completedPrayers: profile.completedPrayers,
+        missedPrayers: profile.missedPrayers,
+        voluntaryPrayers: profile.voluntaryPrayers
+    };
+}
+
+export function getStoredData() {
+    return storageData;
+}
+
+// Profile keys are read from and written to the active profile
+function getStorageRecord(key) {
+    return PROFILE_KEYS.includes(key) ? getProfileData() : storageData;
+}
+
+export function getStoredValue(key) {
+    return getStorageRecord(key)[key];
+}
+
+export function setStoredValue(key, value) {
+    getStorageRecord(key)[key] = value;
+    return persistData();
+}
+
+// Apply a change to a stored value in place, returning the updater's result
+export function updateStoredValue(key, update) {
+    const result = update(getStorageRecord(key)[key]);
+    persistData();
+    return result;
+}
+
+// Mark or unmark a prayer as completed on a date, with optional details
+export function setPrayerCompleted(dateKey, prayer, completed, details = {}) {
+    const profile = getProfileData();
+    const completedPrayers = profile.completedPrayers;
+
+    if (completed) {
+        if (!completedPrayers[dateKey]) {
+            completedPrayers[dateKey] = {};
+        }
+        completedPrayers[dateKey][prayer] = createPrayerRecord({ at: now().getTime(), ...details });
+        removeFromDay(profile.missedPrayers, dateKey, prayer);
+        cancelQadaDebt(profile.qadaLedger, prayer, dateKey);
+    } else {
+        removeFromDay(completedPrayers, dateKey, prayer);
+    }
+    touchDay(dateKey);
+
+    return persistData();
+}
+
+// Change the congregation or timing of a completed prayer
+export function updatePrayerRecord(dateKey, prayer, changes) {
+    const record = getProfileData().completedPrayers[dateKey]?.[prayer];
+    if (!record) {
+        return Promise.resolve();
+    }
+
+    Object.assign(record, changes);
+    touchDay(dateKey);
+    return persistData();
+}
+
+// Record a missed prayer and its qada debt, returning false if it was already recorded
+export function addMissedPrayer(dateKey, prayer, time) {
+    const profile = getProfileData();
+    const missedPrayers = profile.missedPrayers;
+
+    if (missedPrayers[dateKey] && missedPrayers[dateKey][prayer]) {
+        return false;
+    }
+
+    if (!missedPrayers[dateKey]) {
+        missedPrayers[dateKey] = {};
+    }
+    missedPrayers[dateKey][prayer] = { date: dateKey, time };
+    addQadaDebt(profile.qadaLedger, prayer, dateKey);
+    touchDay(dateKey);
+    persistData();
+    return true;
+}
+
+// Mark a prayer as missed on a date, undoing any completion
+export function setPrayerMissed(dateKey, prayer, time) {
+    removeFromDay(getProfileData().completedPrayers, dateKey, prayer);
+    addMissedPrayer(dateKey, prayer, time);
+    touchDay(dateKey);
+    return persistData();
+}
+
+// Delete completed and missed records older than the cutoff date
+// The qada ledger is kept until each debt is made up
+export function removeTrackingDataBefore(cutoff) {
+    const profile = getProfileData();
+    [
+        profile.completedPrayers,
+        profile.missedPrayers,
+        profile.voluntaryPrayers,
+        profile.dayUpdatedAt
+    ].forEach(records => {
+        Object.keys(records).forEach(dateKey => {
+            if (dateFromKey(dateKey) < cutoff) {
+                delete records[dateKey];
+            }
+        });
+    });
+
+    return persistData();
+}
+
+// Mark or unmark a sunnah or voluntary prayer on a date
+export function setVoluntaryCompleted(dateKey, id, completed) {
+    const voluntary = getProfileData().voluntaryPrayers;
+
+    if (completed) {
+        if (!voluntary[dateKey]) {
+            voluntary[dateKey] = {};
+        }
+        voluntary[dateKey][id] = true;
+    } else {
+        removeFromDay(voluntary, dateKey, id);
+    }
+    touchDay(dateKey);
+
+    return persistData();
+}
+
+function removeFromDay(records, dateKey, prayer) {
+    if (records[dateKey] && records[dateKey][prayer]) {
+        delete records[dateKey][prayer];
+        if (Object.keys(records[dateKey]).length === 0) {
+            delete records[dateKey];
+        }
+    }
+}
+
+// Parse a "D-M-YYYY" key from getTodayKey()
+export function dateFromKey(dateKey) {
+    const [day, month, year] = dateKey.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
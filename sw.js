@@ -0,0 +1,178 @@
+// Service worker
+// Precaches the app so it loads offline, and keeps the latest prayer time and
+// geocoding responses for when the network is unavailable.
+
+// Bump on every release so clients pick up the new files
+const CACHE_VERSION = 'v19';
+const APP_CACHE = `salat-tracker-app-${CACHE_VERSION}`;
+// Not versioned, so offline data survives an app update
+const DATA_CACHE = 'salat-tracker-data';
+// Responses kept for each API host, the oldest dropped first
+const DATA_CACHE_LIMIT = 24;
+
+const APP_FILES = [
+    './',
+    'index.html',
+    'style.css',
+    'print.css',
+    'script.js',
+    'env.js',
+    'settings.js',
+    'today.js',
+    'render.js',
+    'time.js',
+    'tracking.js',
+    'cities.js',
+    'locations.js',
+    'qibla.js',
+    'prayertimes.js',
+    'timetable.js',
+    'backup.js',
+    'sync.js',
+    'profiles.js',
+    'i18n.js',
+    'timezone.js',
+    'forbidden.js',
+    'voluntary.js',
+    'hijri.js',
+    'qada.js',
+    'ramadan.js',
+    'storage.js',
+    'history.js',
+    'statistics.js',
+    'notifications.js',
+    'masjid.js',
+    'manifest.json',
+    'praying.png',
+    'praying-192.png',
+    'praying-180.png'
+];
+
+const PRAYER_TIMES_HOST = 'api.aladhan.com';
+const GEOCODING_HOST = 'nominatim.openstreetmap.org';
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(APP_CACHE).then(cache => cache.addAll(APP_FILES))
+    );
+});
+
+// Remove app caches left over from previous versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('salat-tracker-app-') && key !== APP_CACHE)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The page asks a waiting worker to take over once the user accepts the update
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    if (event.request.method !== 'GET') {
+        return;
+    }
+
+    const url = new URL(event.request.url);
+
+    if (url.hostname === PRAYER_TIMES_HOST || url.hostname === GEOCODING_HOST) {
+        event.respondWith(networkFirst(event.request, url));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(cacheFirst(event.request));
+    }
+});
+
+// App files: serve from cache, falling back to the network
+async function cacheFirst(request) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) {
+        return cached;
+    }
+
+    try {
+        return await fetch(request);
+    } catch (error) {
+        if (request.mode === 'navigate') {
+            return caches.match('index.html');
+        }
+        throw error;
+    }
+}
+
+// Reminder notifications: snooze shows the reminder again later, a tap opens the app
+self.addEventListener('notificationclick', (event) => {
+    const notification = event.notification;
+    notification.close();
+
+    if (event.action === 'snooze') {
+        event.waitUntil(snoozeNotification(notification));
+        return;
+    }
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
+            if (clients.length > 0) {
+                return clients[0].focus();
+            }
+            return self.clients.openWindow('./');
+        })
+    );
+});
+
+// The page offers snooze only where notifications can be scheduled: a worker
+// kept waiting for the snooze to end is stopped by the browser long before
+function snoozeNotification(notification) {
+    const delay = (notification.data?.snoozeMinutes || 5) * 60000;
+
+    return self.registration.showNotification(notification.title, {
+        body: notification.body,
+        tag: notification.tag,
+        icon: notification.icon,
+        badge: notification.badge,
+        data: notification.data,
+        actions: notification.actions,
+        showTrigger: new TimestampTrigger(Date.now() + delay)
+    });
+}
+
+// API data: try the network, keeping the latest response to each request
+async function networkFirst(request, url) {
+    const cache = await caches.open(DATA_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            // Replaces the earlier response to the same request only
+            await cache.put(request, response.clone());
+            const keys = (await cache.keys()).filter(key => new URL(key.url).hostname === url.hostname);
+            await Promise.all(keys.slice(0, -DATA_CACHE_LIMIT).map(key => cache.delete(key)));
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) {
+            return cached;
+        }
+
+        // A place name is still right for a slightly different position, but
+        // other days' prayer times are not: the app calculates those itself
+        if (url.hostname === GEOCODING_HOST) {
+            const keys = await cache.keys();
+            const last = keys.filter(key => new URL(key.url).hostname === GEOCODING_HOST).pop();
+            if (last) {
+                return cache.match(last);
+            }
+        }
+
+        throw error;
+    }
+}
@@ -0,0 +1,188 @@
+// Sync with a self-hosted REST endpoint
+// The endpoint keeps one copy of the tracking data per token:
+//   GET  {endpoint}/data  ->  200 { revision, data } or 404 when nothing is stored yet
+//   PUT  {endpoint}/data  with { revision, data }  ->  200 { revision }, or 409 when
+//        another device saved first, in which case the copy is pulled and merged again.
+// See server/sync-server.js for a reference implementation.
+
+import { mergeProfiles, TRACKING_KEYS } from './backup.js';
+import { fetchResource, now } from './env.js';
+import { displayHistoryCalendar, displayHistoryDay } from './history.js';
+import { formatDateTime, t } from './i18n.js';
+import { loadActiveProfile, renderProfileSwitcher } from './profiles.js';
+import { displayPrayerTimes, displayQadaLedger, updatePrayerStatus } from './render.js';
+import {
+    createEmptyData, getActiveProfile, getStoredData, getStoredValue, migrateData, onStorageChange,
+    replaceStoredData, SCHEMA_VERSION, setStoredValue
+} from './storage.js';
+
+const defaultSync = {
+    endpoint: '',
+    token: '',
+    lastSyncedAt: null
+};
+
+// Wait this long after a change before pushing it
+const SYNC_DELAY = 5000;
+const SYNC_ATTEMPTS = 3;
+
+let syncTimer = null;
+let syncInProgress = false;
+let lastSyncedSnapshot = null;
+
+function getSyncSettings() {
+    return getStoredValue('sync') || defaultSync;
+}
+
+// The part of the stored data that is synced: each profile's name and records
+function getSyncSnapshot() {
+    const stored = getStoredData();
+    const profiles = {};
+    Object.keys(stored.profiles).forEach(id => {
+        profiles[id] = { name: stored.profiles[id].name, nameUpdatedAt: stored.profiles[id].nameUpdatedAt };
+        TRACKING_KEYS.forEach(key => {
+            profiles[id][key] = stored.profiles[id][key];
+        });
+    });
+    return { schemaVersion: SCHEMA_VERSION, profiles, removedProfiles: stored.removedProfiles };
+}
+
+// Sync on start, when the app comes back into view or online, and after changes
+export function setupSync() {
+    onStorageChange(scheduleSync);
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') {
+            syncNow();
+        }
+    });
+    window.addEventListener('online', () => syncNow());
+    syncNow();
+}
+
+function scheduleSync() {
+    if (!getSyncSettings().endpoint || syncInProgress) {
+        return;
+    }
+    clearTimeout(syncTimer);
+    syncTimer = setTimeout(() => {
+        // Changes such as timetable downloads do not need a sync
+        if (JSON.stringify(getSyncSnapshot()) !== lastSyncedSnapshot) {
+            syncNow();
+        }
+    }, SYNC_DELAY);
+}
+
+function syncRequest(method, body) {
+    const { endpoint, token } = getSyncSettings();
+    return fetchResource(`${endpoint.replace(/\/+$/, '')}/data`, {
+        method,
+        cache: 'no-store',
+        headers: {
+            Authorization: `Bearer ${token}`,
+            ...(body ? { 'Content-Type': 'application/json' } : {})
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+}
+
+// Pull the remote copy, merge it in and push the result
+async function syncNow() {
+    if (!getSyncSettings().endpoint || syncInProgress || !navigator.onLine) {
+        return false;
+    }
+
+    syncInProgress = true;
+    showSyncStatus(t('sync.syncing'));
+
+    try {
+        for (let attempt = 0; attempt < SYNC_ATTEMPTS; attempt++) {
+            const response = await syncRequest('GET');
+            if (!response.ok && response.status !== 404) {
+                throw new Error(`Sync endpoint returned ${response.status}`);
+            }
+
+            const remote = response.status === 404 ? null : await response.json();
+            if (remote && (remote.data.schemaVersion || 0) > SCHEMA_VERSION) {
+                throw new Error(t('sync.newer'));
+            }
+
+            if (remote) {
+                const remoteData = migrateData({ ...createEmptyData(), ...remote.data });
+                const before = JSON.stringify(getSyncSnapshot());
+                const activeProfile = getActiveProfile();
+                await replaceStoredData(mergeProfiles(getStoredData(), remoteData));
+                if (getActiveProfile() !== activeProfile) {
+                    // The profile in use was deleted on another device
+                    await loadActiveProfile();
+                } else if (JSON.stringify(getSyncSnapshot()) !== before) {
+                    refreshTrackingViews();
+                }
+            }
+
+            const snapshot = getSyncSnapshot();
+            const saved = await syncRequest('PUT', { revision: remote ? remote.revision : 0, data: snapshot });
+            if (saved.status === 409) {
+                continue;
+            }
+            if (!saved.ok) {
+                throw new Error(`Sync endpoint returned ${saved.status}`);
+            }
+
+            lastSyncedSnapshot = JSON.stringify(snapshot);
+            setStoredValue('sync', { ...getSyncSettings(), lastSyncedAt: now().getTime() });
+            showSyncStatus();
+            return true;
+        }
+        throw new Error(t('sync.busy'));
+    } catch (error) {
+        console.log('Sync failed:', error);
+        showSyncStatus(t('sync.failed', { error: error.message }));
+        return false;
+    } finally {
+        syncInProgress = false;
+    }
+}
+
+// Redraw everything that shows tracking data after a merge brought in changes
+function refreshTrackingViews() {
+    renderProfileSwitcher();
+    displayPrayerTimes();
+    updatePrayerStatus();
+    displayQadaLedger();
+    displayHistoryCalendar();
+    displayHistoryDay();
+}
+
+function showSyncStatus(message) {
+    const status = document.getElementById('syncStatus');
+    if (!status) {
+        return;
+    }
+
+    const { endpoint, lastSyncedAt } = getSyncSettings();
+    status.textContent = message || (!endpoint ? t('sync.off') :
+        lastSyncedAt ?
+            t('sync.last', {
+                time: formatDateTime(new Date(lastSyncedAt), { dateStyle: 'medium', timeStyle: 'short' })
+            }) :
+            t('sync.never'));
+}
+
+// Sync fields in the backup panel
+export function renderSyncSettings() {
+    const sync = getSyncSettings();
+    document.getElementById('syncEndpoint').value = sync.endpoint;
+    document.getElementById('syncToken').value = sync.token;
+    showSyncStatus();
+}
+
+export async function saveSyncSettings() {
+    setStoredValue('sync', {
+        ...getSyncSettings(),
+        endpoint: document.getElementById('syncEndpoint').value.trim(),
+        token: document.getElementById('syncToken').value.trim()
+    });
+    lastSyncedSnapshot = null;
+    showSyncStatus();
+    await syncNow();
+}
@@ -0,0 +1,27 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { mergeProfiles } from '../backup.js';
+import { createEmptyData } from '../storage.js';
+
+// A document with one profile, renamed at `nameUpdatedAt`
+function withProfileName(name, nameUpdatedAt) {
+    const data = createEmptyData();
+    Object.assign(data.profiles.default, { name, nameUpdatedAt });
+    return data;
+}
+
+test('a profile renamed on another device takes that name', () => {
+    const merged = mergeProfiles(withProfileName('Me', null), withProfileName('Abdullah', 1710000000000));
+
+    assert.equal(merged.profiles.default.name, 'Abdullah');
+    assert.equal(merged.profiles.default.nameUpdatedAt, 1710000000000);
+});
+
+test('when both copies were renamed, the later name wins', () => {
+    const local = withProfileName('Abdullah', 1710000500000);
+    const remote = withProfileName('Abdul', 1710000000000);
+
+    assert.equal(mergeProfiles(local, remote).profiles.default.name, 'Abdullah');
+    assert.equal(mergeProfiles(remote, local).profiles.default.name, 'Abdullah');
+});
@@ -0,0 +1,38 @@
+// Prayer times shared by the tests
+
+// Dhaka, Thursday 14 and Friday 15 March 2024, loaded with the next day's Fajr
+// and Sunrise as today.js loads them
+export const zone = 'Asia/Dhaka';
+export const thursday = new Date(2024, 2, 14);
+export const friday = new Date(2024, 2, 15);
+export const times = {
+    Fajr: '04:55',
+    Sunrise: '06:10',
+    Dhuhr: '12:08',
+    Asr: '16:27',
+    Maghrib: '18:08',
+    Isha: '19:22',
+    NextFajr: '04:54',
+    NextSunrise: '06:09'
+};
+
+// Oslo, Friday 21 June 2024, as the API gives them: in the summer Isha falls
+// after midnight. The next day's Fajr and Sunrise are in osloNextTimes.
+export const osloZone = 'Europe/Oslo';
+export const midsummer = new Date(2024, 5, 21);
+export const osloTimes = {
+    Fajr: '03:24',
+    Sunrise: '03:54',
+    Dhuhr: '13:21',
+    Asr: '17:48',
+    Maghrib: '22:44',
+    Isha: '00:12'
+};
+export const osloNextTimes = { Fajr: '03:25', Sunrise: '03:54' };
+
+// An instant given as wall-clock time at a UTC offset in hours: Dhaka's (UTC+6,
+// no daylight saving) unless another is given, e.g. 2 for Oslo in summer
+export function at(date, time, offset = 6) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), hours - offset, minutes));
+}
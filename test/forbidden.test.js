@@ -0,0 +1,49 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getForbiddenWindows } from '../forbidden.js';
+import { times } from './fixtures.js';
+
+const options = { sunriseMinutes: 15, zenithMinutes: 10, sunsetMinutes: 15, afterFajr: true, afterAsr: true };
+const windowsOf = (prayed, isFriday = false) =>
+    getForbiddenWindows(times, options, 0, {}, isFriday, prayed).map(({ id, start, end }) => `${id} ${start}-${end}`);
+
+test('sunrise, zenith and sunset are forbidden whether or not anything is prayed', () => {
+    assert.deepEqual(windowsOf({}), ['sunrise 06:10-06:25', 'zenith 11:58-12:08', 'sunset 17:53-18:08']);
+});
+
+test('the windows after Fajr and Asr open when those prayers are prayed', () => {
+    assert.deepEqual(windowsOf({ Fajr: '05:20', Asr: '16:40' }), [
+        'afterFajr 05:20-06:10',
+        'sunrise 06:10-06:25',
+        'zenith 11:58-12:08',
+        'afterAsr 16:40-17:53',
+        'sunset 17:53-18:08'
+    ]);
+});
+
+test('a prayer marked before its time opens the window at the adhan, and one prayed late opens none', () => {
+    assert.deepEqual(windowsOf({ Fajr: '04:00' })[0], 'afterFajr 04:55-06:10');
+    assert.deepEqual(windowsOf({ Asr: '17:55' }).filter(period => period.startsWith('afterAsr')), []);
+});
+
+test('a prayer marked after midnight, in the night after its day, opens no window', () => {
+    assert.deepEqual(windowsOf({ Fajr: '25:00', Asr: '24:30' }),
+        ['sunrise 06:10-06:25', 'zenith 11:58-12:08', 'sunset 17:53-18:08']);
+});
+
+test('the Hanafi school counts the window after Fajr from true dawn, prayed or not', () => {
+    const hanafi = prayed => getForbiddenWindows(times, options, 1, {}, false, prayed)
+        .filter(period => period.id === 'afterFajr')
+        .map(({ start, end }) => `${start}-${end}`);
+
+    assert.deepEqual(hanafi({}), ['04:55-06:10']);
+    assert.deepEqual(hanafi({ Fajr: '05:20' }), ['04:55-06:10']);
+    assert.deepEqual(getForbiddenWindows(times, { ...options, afterFajr: false }, 1, {}, false, {})
+        .map(period => period.id), ['sunrise', 'zenith', 'sunset']);
+});
+
+test('the Shafi\'i school does not count the zenith on Friday', () => {
+    const shafii = getForbiddenWindows(times, options, 0, {}, true, {}).map(period => period.id);
+    assert.deepEqual(shafii, ['sunrise', 'sunset']);
+});
@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { formatHijriDate, toHijriDate } from '../hijri.js';
+
+const hijri = (year, month, day) => ({ year, month, day });
+
+test('Umm al-Qura dates follow the official Saudi calendar', () => {
+    assert.deepEqual(toHijriDate(new Date(2023, 2, 23)), hijri(1444, 9, 1));
+    assert.deepEqual(toHijriDate(new Date(2024, 2, 11)), hijri(1445, 9, 1));
+    assert.deepEqual(toHijriDate(new Date(2024, 3, 10)), hijri(1445, 10, 1));
+    assert.deepEqual(toHijriDate(new Date(2024, 5, 16)), hijri(1445, 12, 10));
+    assert.deepEqual(toHijriDate(new Date(2024, 6, 7)), hijri(1446, 1, 1));
+});
+
+test('tabular dates count from 1 Muharram 1 AH in 30-year cycles', () => {
+    // 16 July 622 in the Julian calendar
+    assert.deepEqual(toHijriDate(new Date(622, 6, 19), 'tabular'), hijri(1, 1, 1));
+    assert.deepEqual(toHijriDate(new Date(2000, 0, 1), 'tabular'), hijri(1420, 9, 24));
+    assert.deepEqual(toHijriDate(new Date(2024, 2, 11), 'tabular'), hijri(1445, 9, 1));
+    // 1445 is year 5 of the 30-year cycle, a leap year, so Dhu al-Hijjah has 30 days
+    assert.deepEqual(toHijriDate(new Date(2024, 6, 6), 'tabular'), hijri(1445, 12, 29));
+    assert.deepEqual(toHijriDate(new Date(2024, 6, 7), 'tabular'), hijri(1445, 12, 30));
+    assert.deepEqual(toHijriDate(new Date(2024, 6, 8), 'tabular'), hijri(1446, 1, 1));
+});
+
+test('the tabular calendar agrees with the Intl islamic-civil calendar', () => {
+    const civil = new Intl.DateTimeFormat('en-u-ca-islamic-civil', {
+        timeZone: 'UTC',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric'
+    });
+
+    for (let day = 0; day < 3 * 365; day += 5) {
+        const date = new Date(2023, 0, 1 + day);
+        const parts = {};
+        civil.formatToParts(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), 12)).forEach(part => {
+            parts[part.type] = part.value;
+        });
+        assert.deepEqual(toHijriDate(date, 'tabular'),
+            hijri(parseInt(parts.year), Number(parts.month), Number(parts.day)));
+    }
+});
+
+test('an adjustment moves the Hijri date by whole days, across months', () => {
+    assert.deepEqual(toHijriDate(new Date(2024, 2, 11), 'ummalqura', -1), hijri(1445, 8, 29));
+    assert.deepEqual(toHijriDate(new Date(2024, 2, 11), 'ummalqura', 1), hijri(1445, 9, 2));
+    assert.deepEqual(toHijriDate(new Date(2024, 6, 7), 'tabular', 1), hijri(1446, 1, 1));
+    assert.deepEqual(toHijriDate(new Date(2024, 3, 10), 'tabular', -1), hijri(1445, 9, 30));
+});
+
+test('Hijri dates are written with the month name', () => {
+    assert.equal(formatHijriDate(hijri(1445, 9, 1)), '1 Ramadan 1445 AH');
+});
@@ -0,0 +1,113 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    getIqamahTimes, getNextIqamah, getScheduleForDate, normalizeMasjidSettings, resolveIqamahTime
+} from '../masjid.js';
+import { at, friday, thursday, times, zone } from './fixtures.js';
+
+const masjid = {
+    enabled: true,
+    name: 'Baitul Mukarram',
+    schedules: [
+        {
+            from: null,
+            iqamah: { Fajr: '05:15', Dhuhr: '13:30', Asr: '16:45', Maghrib: '+5', Isha: '20:00' },
+            jummah: ['13:15', '14:15']
+        },
+        {
+            from: '2024-03-15',
+            iqamah: { Fajr: '05:10', Dhuhr: '13:15', Asr: '', Maghrib: '+5', Isha: '20:15' },
+            jummah: ['13:30']
+        }
+    ]
+};
+
+test('a schedule applies from its date until the next one starts', () => {
+    assert.equal(getScheduleForDate(masjid, thursday), masjid.schedules[0]);
+    assert.equal(getScheduleForDate(masjid, friday), masjid.schedules[1]);
+    assert.equal(getScheduleForDate(masjid, new Date(2024, 5, 1)), masjid.schedules[1]);
+});
+
+test('an iqamah is a fixed time or minutes after the adhan', () => {
+    assert.equal(resolveIqamahTime('13:30', '12:08'), '13:30');
+    assert.equal(resolveIqamahTime('7:05', '04:55'), '07:05');
+    assert.equal(resolveIqamahTime('+5', '18:08'), '18:13');
+    assert.equal(resolveIqamahTime('', '16:27'), null);
+});
+
+test('a fixed iqamah after midnight follows an Isha on the same night', () => {
+    const lateTimes = { ...times, Maghrib: '22:44', Isha: '24:12' };
+    const schedule = masjid.schedules[0];
+    const lateMasjid = { ...masjid, schedules: [{ ...schedule, iqamah: { ...schedule.iqamah, Isha: '00:30' } }] };
+    const iqamah = getIqamahTimes(lateMasjid, thursday, lateTimes);
+
+    assert.equal(resolveIqamahTime('00:30', '23:50'), '24:30');
+    assert.equal(iqamah.Isha, '24:30');
+    assert.deepEqual(getNextIqamah(thursday, lateTimes, iqamah, at(thursday, '23:30'), zone),
+        { prayer: 'Isha', time: '24:30', iqamah: true });
+});
+
+test('the day\'s iqamahs include the next morning\'s Fajr under its schedule', () => {
+    assert.deepEqual(getIqamahTimes(masjid, thursday, times), {
+        Fajr: '05:15',
+        Dhuhr: '13:30',
+        Asr: '16:45',
+        Maghrib: '18:13',
+        Isha: '20:00',
+        Jummah: ['13:15', '14:15'],
+        NextFajr: '05:10'
+    });
+    assert.equal(getIqamahTimes({ ...masjid, enabled: false }, thursday, times), null);
+});
+
+test('the countdown goes to each Jummah khutbah in turn', () => {
+    const iqamah = getIqamahTimes(masjid, thursday, times);
+    const next = time => getNextIqamah(friday, times, iqamah, at(friday, time), zone);
+
+    assert.deepEqual(next('12:30'), { prayer: 'Jummah', time: '13:15', iqamah: true });
+    assert.deepEqual(next('13:20'), { prayer: 'Jummah', time: '14:15', iqamah: true });
+});
+
+test('Jummah khutbahs are taken in time order, however they were entered', () => {
+    const reversed = { ...masjid, schedules: [{ ...masjid.schedules[0], jummah: ['14:15', '+67'] }] };
+    const iqamah = getIqamahTimes(reversed, friday, times);
+
+    assert.deepEqual(iqamah.Jummah, ['13:15', '14:15']);
+    assert.deepEqual(getNextIqamah(friday, times, iqamah, at(friday, '12:30'), zone),
+        { prayer: 'Jummah', time: '13:15', iqamah: true });
+});
+
+test('a prayer without an iqamah counts down to its adhan', () => {
+    const iqamah = getIqamahTimes(masjid, friday, times);
+
+    assert.deepEqual(getNextIqamah(friday, times, iqamah, at(friday, '14:00'), zone),
+        { prayer: 'Asr', time: '16:27', iqamah: false });
+});
+
+test('after Isha\'s iqamah the countdown goes to the next day\'s Fajr iqamah', () => {
+    const iqamah = getIqamahTimes(masjid, thursday, times);
+
+    assert.deepEqual(getNextIqamah(thursday, times, iqamah, at(thursday, '21:00'), zone),
+        { prayer: 'Fajr', time: '29:10', iqamah: true });
+    assert.equal(getNextIqamah(thursday, times, iqamah, at(friday, '05:10'), zone), null);
+});
+
+test('entered times are checked before they are saved', () => {
+    const withIqamah = (iqamah, jummah = []) => ({ schedules: [{ from: null, iqamah, jummah }] });
+
+    assert.throws(() => normalizeMasjidSettings({}), /Not a masjid iqamah schedule/);
+    assert.throws(() => normalizeMasjidSettings(withIqamah({ Dhuhr: '25:00' })), /Dhuhr: "25:00"/);
+    assert.throws(() => normalizeMasjidSettings(withIqamah({}, ['1.15'])), /Jummah: "1.15"/);
+    assert.throws(() => normalizeMasjidSettings({ schedules: [{ from: 'March' }] }), /"March" is not a date/);
+
+    assert.deepEqual(normalizeMasjidSettings(withIqamah({ Fajr: ' +10 ' }, [' 13:15 ', ''])), {
+        enabled: true,
+        name: '',
+        schedules: [{
+            from: null,
+            iqamah: { Fajr: '+10', Dhuhr: '', Asr: '', Maghrib: '', Isha: '' },
+            jummah: ['13:15']
+        }]
+    });
+});
@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { calculatePrayerTimes } from '../prayertimes.js';
+
+// Reference times from PrayTimes.org 2.3 with the angle-based high latitude rule,
+// the same parameters the Aladhan API takes as method, school and
+// latitudeAdjustmentMethod
+const references = [
+    {
+        city: 'Makkah',
+        date: new Date(2024, 2, 15),
+        lat: 21.4225,
+        lon: 39.8262,
+        options: { method: 4, school: 0, timezone: 3 },
+        times: { Fajr: '05:13', Sunrise: '06:29', Dhuhr: '12:29', Asr: '15:54', Maghrib: '18:30', Isha: '20:00' }
+    },
+    {
+        city: 'Dhaka',
+        date: new Date(2024, 2, 15),
+        lat: 23.8103,
+        lon: 90.4125,
+        options: { method: 1, school: 1, timezone: 6 },
+        times: { Fajr: '04:52', Sunrise: '06:07', Dhuhr: '12:07', Asr: '16:27', Maghrib: '18:08', Isha: '19:23' }
+    },
+    {
+        city: 'New York',
+        date: new Date(2024, 5, 21),
+        lat: 40.7128,
+        lon: -74.006,
+        options: { method: 2, school: 0, timezone: -4 },
+        times: { Fajr: '03:45', Sunrise: '05:25', Dhuhr: '12:58', Asr: '16:58', Maghrib: '20:31', Isha: '22:11' }
+    },
+    {
+        city: 'London',
+        date: new Date(2024, 11, 21),
+        lat: 51.5074,
+        lon: -0.1278,
+        options: { method: 3, school: 0, timezone: 0 },
+        times: { Fajr: '06:00', Sunrise: '08:04', Dhuhr: '11:59', Asr: '13:38', Maghrib: '15:54', Isha: '17:51' }
+    },
+    {
+        city: 'Cairo',
+        date: new Date(2024, 0, 10),
+        lat: 30.0444,
+        lon: 31.2357,
+        options: { method: 5, school: 0, timezone: 2 },
+        times: { Fajr: '05:20', Sunrise: '06:52', Dhuhr: '12:02', Asr: '14:54', Maghrib: '17:13', Isha: '18:35' }
+    },
+    {
+        city: 'Oslo',
+        date: new Date(2024, 5, 21),
+        lat: 59.9139,
+        lon: 10.7522,
+        options: { method: 3, school: 0, timezone: 2 },
+        times: { Fajr: '02:21', Sunrise: '03:54', Dhuhr: '13:19', Asr: '18:01', Maghrib: '22:44', Isha: '00:12' }
+    }
+];
+
+references.forEach(({ city, date, lat, lon, options, times }) => {
+    test(`times in ${city} match the reference`, () => {
+        assert.deepEqual(calculatePrayerTimes(date, lat, lon, { ...options, highLatitudeRule: 3 }), times);
+    });
+});
+
+test('minute offsets move each prayer but not sunrise', () => {
+    const { date, lat, lon, options, times } = references[1];
+    const offsets = { Fajr: 2, Dhuhr: 3, Asr: -1, Maghrib: 4, Isha: 5 };
+
+    assert.deepEqual(calculatePrayerTimes(date, lat, lon, { ...options, offsets }),
+        { Fajr: '04:54', Sunrise: times.Sunrise, Dhuhr: '12:10', Asr: '16:26', Maghrib: '18:12', Isha: '19:28' });
+});
+
+test('where the sun does not set or rise, every time is still given', () => {
+    // Tromsø at midsummer and midwinter
+    [new Date(2024, 5, 21), new Date(2024, 11, 21)].forEach(date => {
+        [1, 2, 3].forEach(highLatitudeRule => {
+            const times = calculatePrayerTimes(date, 69.6492, 18.9553, { method: 3, school: 0, highLatitudeRule });
+            Object.values(times).forEach(time => assert.match(time, /^\d\d:\d\d$/));
+        });
+    });
+});
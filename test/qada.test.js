@@ -0,0 +1,64 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    addQadaDebt, cancelQadaDebt, createQadaLedger, getQadaSummary, mergeQadaLedgers, payQadaDebt,
+    setQadaOpeningBalance
+} from '../qada.js';
+
+test('a missed Jummah is owed as Dhuhr, once', () => {
+    const ledger = createQadaLedger();
+
+    assert.ok(addQadaDebt(ledger, 'Jummah', '15-3-2024'));
+    assert.ok(!addQadaDebt(ledger, 'Dhuhr', '15-3-2024'));
+    assert.deepEqual(ledger.entries, [{ prayer: 'Dhuhr', date: '15-3-2024', paidOn: null }]);
+
+    cancelQadaDebt(ledger, 'Jummah', '15-3-2024');
+    assert.deepEqual(ledger.entries, []);
+});
+
+test('make-up prayers pay the opening balance first, then the oldest missed prayer', () => {
+    const ledger = createQadaLedger();
+    setQadaOpeningBalance(ledger, { Fajr: 1 });
+    addQadaDebt(ledger, 'Fajr', '2-3-2024');
+    addQadaDebt(ledger, 'Fajr', '28-2-2024');
+
+    assert.ok(payQadaDebt(ledger, 'Fajr', '10-3-2024'));
+    assert.equal(ledger.openingPaid.Fajr, 1);
+
+    assert.ok(payQadaDebt(ledger, 'Fajr', '11-3-2024'));
+    assert.equal(ledger.entries.find(entry => entry.date === '28-2-2024').paidOn, '11-3-2024');
+    assert.equal(ledger.entries.find(entry => entry.date === '2-3-2024').paidOn, null);
+
+    assert.ok(payQadaDebt(ledger, 'Fajr', '12-3-2024'));
+    assert.ok(!payQadaDebt(ledger, 'Fajr', '13-3-2024'));
+});
+
+test('merged ledgers keep debts from both and payments from either', () => {
+    const local = createQadaLedger();
+    const remote = createQadaLedger();
+    addQadaDebt(local, 'Asr', '1-3-2024');
+    addQadaDebt(remote, 'Asr', '1-3-2024');
+    addQadaDebt(remote, 'Isha', '2-3-2024');
+    payQadaDebt(remote, 'Asr', '5-3-2024');
+
+    const merged = mergeQadaLedgers(local, remote);
+
+    assert.deepEqual(merged.entries, [
+        { prayer: 'Asr', date: '1-3-2024', paidOn: '5-3-2024' },
+        { prayer: 'Isha', date: '2-3-2024', paidOn: null }
+    ]);
+    assert.equal(local.entries[0].paidOn, null);
+});
+
+test('the payoff date follows the daily rate', () => {
+    const ledger = createQadaLedger();
+    setQadaOpeningBalance(ledger, { Fajr: 5, Isha: 2 });
+    ledger.dailyRate = 2;
+
+    const summary = getQadaSummary(ledger, new Date(2024, 2, 15));
+
+    assert.equal(summary.total, 7);
+    assert.equal(summary.payoffDays, 3);
+    assert.equal(summary.payoffDate.getDate(), 18);
+});
@@ -0,0 +1,37 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getFastingTarget, isRamadanNight } from '../ramadan.js';
+import { at, friday, thursday, times, zone } from './fixtures.js';
+
+test('the countdown goes to iftar, then through the night to the end of suhoor', () => {
+    assert.deepEqual(getFastingTarget(thursday, times, at(thursday, '12:00'), zone), { id: 'iftar', time: '18:08' });
+    assert.deepEqual(getFastingTarget(thursday, times, at(thursday, '21:00'), zone), { id: 'suhoor', time: '28:44' });
+    assert.deepEqual(getFastingTarget(thursday, times, at(friday, '04:43'), zone), { id: 'suhoor', time: '28:44' });
+});
+
+test('between imsak and Fajr the countdown goes to Fajr', () => {
+    assert.deepEqual(getFastingTarget(thursday, times, at(friday, '04:44'), zone), { id: 'fajr', time: '28:54' });
+    assert.deepEqual(getFastingTarget(thursday, times, at(friday, '04:53'), zone), { id: 'fajr', time: '28:54' });
+    assert.equal(getFastingTarget(thursday, times, at(friday, '04:54'), zone), null);
+});
+
+test('the night before the first fast has Taraweeh and counts down to suhoor from Maghrib', () => {
+    // Sunday 10 March 2024 is 29 Sha'ban 1445, the next day 1 Ramadan
+    const eve = new Date(2024, 2, 10);
+    const monday = new Date(2024, 2, 11);
+
+    assert.equal(getFastingTarget(eve, times, at(eve, '12:00'), zone), null);
+    assert.deepEqual(getFastingTarget(eve, times, at(eve, '21:00'), zone), { id: 'suhoor', time: '28:44' });
+    assert.deepEqual(getFastingTarget(eve, times, at(monday, '04:44'), zone), { id: 'fajr', time: '28:54' });
+    assert.ok(isRamadanNight(eve));
+});
+
+test('on Eid night the countdown ends at the last iftar and there is no Taraweeh', () => {
+    // Tuesday 9 April 2024 is 30 Ramadan 1445, the next day Eid al-Fitr
+    const lastFast = new Date(2024, 3, 9);
+
+    assert.deepEqual(getFastingTarget(lastFast, times, at(lastFast, '12:00'), zone), { id: 'iftar', time: '18:08' });
+    assert.equal(getFastingTarget(lastFast, times, at(lastFast, '21:00'), zone), null);
+    assert.ok(!isRamadanNight(lastFast));
+});
@@ -0,0 +1,60 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { computeStatistics } from '../statistics.js';
+import { getDateKey } from '../time.js';
+
+const PRAYERS = ['Fajr', 'Dhuhr', 'Asr', 'Maghrib', 'Isha'];
+
+// Completed prayer records for each date, all five unless `prayers` are given
+function completedOn(dates, prayers = PRAYERS) {
+    const completedPrayers = {};
+    dates.forEach(date => {
+        completedPrayers[getDateKey(date)] = {};
+        prayers.forEach(prayer => {
+            completedPrayers[getDateKey(date)][prayer] = { at: null, congregation: null, timing: 'on-time' };
+        });
+    });
+    return completedPrayers;
+}
+
+function march(day) {
+    return new Date(2024, 2, day);
+}
+
+test('an incomplete today keeps the streak running until it is complete', () => {
+    const completedPrayers = {
+        ...completedOn([march(10), march(11), march(12), march(13)]),
+        ...completedOn([march(14)], ['Fajr'])
+    };
+
+    assert.deepEqual(computeStatistics(completedPrayers, {}, march(14)).streak, { current: 4, longest: 4 });
+
+    Object.assign(completedPrayers, completedOn([march(14)]));
+    assert.deepEqual(computeStatistics(completedPrayers, {}, march(14)).streak, { current: 5, longest: 5 });
+});
+
+test('Jummah is counted as that Friday\'s Dhuhr', () => {
+    // Friday 15 March 2024
+    const completedPrayers = {
+        ...completedOn([march(14)]),
+        ...completedOn([march(15)], ['Fajr', 'Jummah', 'Asr', 'Maghrib', 'Isha'])
+    };
+    const stats = computeStatistics(completedPrayers, {}, march(16));
+
+    assert.equal(stats.streak.current, 2);
+    assert.equal(stats.perPrayer.Dhuhr.rate, 1);
+    assert.equal(stats.weekRate, 1);
+});
+
+test('the weekly trend counts the days of a week that spans two months', () => {
+    // Every day from Wednesday 27 March to Tuesday 2 April 2024 but 31 March
+    const days = [27, 28, 29, 30].map(march).concat([new Date(2024, 3, 1), new Date(2024, 3, 2)]);
+    const stats = computeStatistics(completedOn(days), { [getDateKey(march(31))]: { Fajr: {} } }, new Date(2024, 3, 3));
+    const lastWeek = stats.trend[stats.trend.length - 1];
+
+    assert.equal(stats.trend.length, 12);
+    assert.deepEqual(lastWeek.start, march(27));
+    assert.equal(lastWeek.rate, 6 / 7);
+    assert.equal(stats.trend[stats.trend.length - 2].rate, null);
+});
@@ -0,0 +1,34 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createEmptyData, initStorage, setStoredValue } from '../storage.js';
+
+test('when stored data fails to load, later saves leave it in place', async (t) => {
+    const stored = JSON.stringify({ ...createEmptyData(), timetables: { '3-2024': {} } });
+    const items = { 'salat-tracker': stored };
+    let failLoad = true;
+    globalThis.localStorage = {
+        getItem: (key) => {
+            if (failLoad) {
+                throw new Error('The operation is insecure');
+            }
+            return items[key];
+        },
+        setItem: (key, value) => {
+            items[key] = value;
+        }
+    };
+    globalThis.window = { localStorage: globalThis.localStorage };
+    t.after(() => {
+        delete globalThis.window;
+        delete globalThis.localStorage;
+    });
+    t.mock.method(console, 'error', () => {});
+
+    const data = await initStorage();
+    assert.deepEqual(data.timetables, {});
+
+    failLoad = false;
+    await setStoredValue('timetables', { '4-2024': {} });
+    assert.equal(items['salat-tracker'], stored);
+});
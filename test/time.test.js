@@ -0,0 +1,117 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { setClock } from '../env.js';
+import { locationTimeZone, setTimeZone } from '../timezone.js';
+import {
+    addMinutes, getDateKey, getDuration, getEndTime, getIshaEnd, getNextDayTime, getPrayerDayTime, getPrayerDayTimes,
+    getPrayersForDate, getStartTime, getTodayKey, isTimeInRange
+} from '../time.js';
+import { osloNextTimes, osloTimes } from './fixtures.js';
+
+// Dhaka, Friday 15 March 2024
+const times = {
+    Fajr: '04:55',
+    Sunrise: '06:10',
+    Dhuhr: '12:08',
+    Asr: '16:27',
+    Maghrib: '18:08',
+    Isha: '19:22'
+};
+
+// With the next day's times, as today.js loads them
+const night = { ...times, NextFajr: '04:54', NextSunrise: '06:09' };
+
+test('the day rolls over at midnight at the location, not on the device', (t) => {
+    const previousZone = locationTimeZone;
+    t.after(() => {
+        setClock(() => new Date());
+        setTimeZone(previousZone);
+    });
+    setTimeZone('Asia/Dhaka');
+
+    setClock(() => new Date('2024-03-14T17:59:00Z'));
+    assert.equal(getTodayKey(), '14-3-2024');
+
+    setClock(() => new Date('2024-03-14T18:00:00Z'));
+    assert.equal(getTodayKey(), '15-3-2024');
+
+    setTimeZone('America/New_York');
+    assert.equal(getTodayKey(), '14-3-2024');
+});
+
+test('an instant in the night after a prayer day is past "24:00" on its scale', () => {
+    const date = new Date(2024, 2, 14);
+
+    assert.equal(getPrayerDayTime(new Date('2024-03-14T11:30:00Z'), date, 'Asia/Dhaka'), '17:30');
+    assert.equal(getPrayerDayTime(new Date('2024-03-14T19:00:00Z'), date, 'Asia/Dhaka'), '25:00');
+    assert.equal(getPrayerDayTime(new Date('2024-03-13T17:00:00Z'), date, 'Asia/Dhaka'), '00:00');
+});
+
+test('date keys are day-month-year without padding', () => {
+    assert.equal(getDateKey(new Date(2024, 0, 5)), '5-1-2024');
+});
+
+test('Jummah takes the place of Dhuhr on Fridays only', () => {
+    assert.deepEqual(getPrayersForDate(new Date(2024, 2, 15)), ['Fajr', 'Jummah', 'Asr', 'Maghrib', 'Isha']);
+    assert.deepEqual(getPrayersForDate(new Date(2024, 2, 16)), ['Fajr', 'Dhuhr', 'Asr', 'Maghrib', 'Isha']);
+});
+
+test('each prayer starts at its own time and ends when the next one starts', () => {
+    assert.equal(getStartTime('Jummah', times), '12:08');
+    assert.equal(getEndTime('Fajr', times), '06:10');
+    assert.equal(getEndTime('Dhuhr', times), '16:27');
+    assert.equal(getEndTime('Jummah', times), '16:27');
+    assert.equal(getEndTime('Asr', times), '18:08');
+    assert.equal(getEndTime('Maghrib', times), '19:22');
+});
+
+test('Isha ends at Islamic midnight, half the night or true dawn', () => {
+    assert.equal(getIshaEnd(night, 'midnight'), '24:08');
+    assert.equal(getIshaEnd(night, 'halfNight'), '23:31');
+    assert.equal(getIshaEnd(night, 'fajr'), '28:54');
+});
+
+test('Isha ends at the loaded IshaEnd, else at dawn', () => {
+    assert.equal(getEndTime('Isha', { ...night, IshaEnd: '23:31' }), '23:31');
+    assert.equal(getEndTime('Isha', night), '28:54');
+    assert.equal(getEndTime('Isha', times), '28:55');
+    assert.equal(getEndTime('Isha', { ...night, Jummah: times.Dhuhr }), '28:54');
+});
+
+test('a prayer day is loaded with the next day\'s Fajr and Sunrise and its Isha end', () => {
+    assert.deepEqual(getPrayerDayTimes(times, { Fajr: '04:54', Sunrise: '06:09' }, 'midnight'),
+        { ...night, IshaEnd: '24:08' });
+});
+
+test('an Isha after midnight is loaded past "24:00", with its end', () => {
+    assert.equal(getPrayerDayTimes(osloTimes, osloNextTimes).Isha, '24:12');
+    assert.equal(getPrayerDayTimes(osloTimes, osloNextTimes).IshaEnd, '27:25');
+    assert.equal(getPrayerDayTimes(osloTimes, osloNextTimes, 'midnight').IshaEnd, '25:19');
+});
+
+test('next-day times count on past midnight', () => {
+    assert.equal(getNextDayTime('04:54'), '28:54');
+    assert.equal(getNextDayTime('00:00'), '24:00');
+});
+
+test('time ranges include both ends', () => {
+    assert.ok(isTimeInRange('12:08', '12:08', '16:27'));
+    assert.ok(isTimeInRange('16:27', '12:08', '16:27'));
+    assert.ok(!isTimeInRange('16:28', '12:08', '16:27'));
+});
+
+test('time ranges can run past midnight', () => {
+    assert.ok(isTimeInRange('23:30', '19:22', '04:54'));
+    assert.ok(isTimeInRange('02:00', '19:22', '04:54'));
+    assert.ok(isTimeInRange('02:00', '19:22', '28:54'));
+    assert.ok(!isTimeInRange('12:00', '19:22', '04:54'));
+});
+
+test('durations count a started minute as a whole one', () => {
+    const from = new Date('2024-03-15T06:00:00Z');
+
+    assert.deepEqual(getDuration(from, addMinutes(from, 90)), { hours: 1, minutes: 30 });
+    assert.deepEqual(getDuration(from, new Date('2024-03-15T06:00:01Z')), { hours: 0, minutes: 1 });
+    assert.deepEqual(getDuration(from, addMinutes(from, -5)), { hours: 0, minutes: 0 });
+});
@@ -0,0 +1,123 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { setClock, setFetch } from '../env.js';
+import { getStoredValue, setStoredValue } from '../storage.js';
+import { getPrayerDayTimes } from '../time.js';
+import { getTimetableIcs, loadMonthTimetable } from '../timetable.js';
+import { midsummer, osloNextTimes, osloTimes, osloZone } from './fixtures.js';
+
+const osloRow = {
+    date: midsummer,
+    hijri: '15 Dhul Hijjah 1445',
+    timings: getPrayerDayTimes(osloTimes, osloNextTimes),
+    timezone: osloZone
+};
+
+function getEventStart(ics, uid) {
+    const event = ics.split('BEGIN:VEVENT').find(text => text.includes(`UID:${uid}@`));
+    return event.match(/DTSTART:(\S+)/)[1];
+}
+
+test('calendar events are written in UTC, with Jummah on Fridays', () => {
+    const ics = getTimetableIcs([osloRow], 'Oslo, Norway', new Date('2024-06-01T00:00:00Z'));
+
+    assert.equal(getEventStart(ics, '20240621-Fajr'), '20240621T012400Z');
+    assert.match(ics, /SUMMARY:Jummah/);
+    assert.match(ics, /LOCATION:Oslo\\, Norway/);
+});
+
+test('an Isha after midnight is an event on the night after its day', () => {
+    const ics = getTimetableIcs([osloRow], 'Oslo', new Date('2024-06-01T00:00:00Z'));
+
+    assert.equal(getEventStart(ics, '20240621-Maghrib'), '20240621T204400Z');
+    assert.equal(getEventStart(ics, '20240621-Isha'), '20240621T221200Z');
+});
+
+// An Aladhan calendar response with the 15th of the month
+function calendarResponse(year, month) {
+    const day = {
+        date: { gregorian: { date: `15-${String(month).padStart(2, '0')}-${year}` } },
+        timings: {
+            Fajr: '05:03 (+03)',
+            Sunrise: '06:18 (+03)',
+            Dhuhr: '12:25 (+03)',
+            Asr: '15:50 (+03)',
+            Maghrib: '18:32 (+03)',
+            Isha: '20:02 (+03)'
+        },
+        meta: { timezone: 'Asia/Riyadh' }
+    };
+    return { json: async () => ({ code: 200, data: [day] }) };
+}
+
+// Start each test with an empty cache, the clock at `time` and requests answered
+// by `respond`, returning the requested URLs
+function useTimetableApi(t, time, respond) {
+    const requests = [];
+    setStoredValue('timetables', {});
+    setClock(() => new Date(time));
+    setFetch(async (url) => {
+        requests.push(url);
+        return respond(url);
+    });
+    t.after(() => {
+        setClock(() => new Date());
+        setFetch((url, options) => fetch(url, options));
+    });
+    return requests;
+}
+
+// Let background requests finish
+function settle() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+test('a month is fetched once and then read from the cache', async (t) => {
+    const requests = useTimetableApi(t, '2024-03-15T09:00:00Z', () => calendarResponse(2024, 3));
+
+    const fetched = await loadMonthTimetable(new Date(2024, 2, 15));
+    assert.equal(fetched.days['15-3-2024'].timings.Fajr, '05:03');
+    assert.equal(fetched.timezone, 'Asia/Riyadh');
+
+    assert.equal(await loadMonthTimetable(new Date(2024, 2, 20)), fetched);
+    await settle();
+    assert.equal(requests.length, 1);
+    assert.match(requests[0], /\/calendar\/2024\/3\?/);
+});
+
+test('a cached month older than a day is used at once and refreshed in the background', async (t) => {
+    const requests = useTimetableApi(t, '2024-03-15T09:00:00Z', () => calendarResponse(2024, 3));
+    const fetched = await loadMonthTimetable(new Date(2024, 2, 15));
+
+    setClock(() => new Date('2024-03-16T10:00:00Z'));
+    assert.equal(await loadMonthTimetable(new Date(2024, 2, 16)), fetched);
+    assert.equal(requests.length, 2);
+
+    await settle();
+    const [refreshed] = Object.values(getStoredValue('timetables'));
+    assert.equal(refreshed.fetchedAt, new Date('2024-03-16T10:00:00Z').getTime());
+});
+
+test('a month that cannot be fetched or found in the cache is null', async (t) => {
+    useTimetableApi(t, '2024-04-15T09:00:00Z', () => {
+        throw new TypeError('Failed to fetch');
+    });
+    t.mock.method(console, 'error', () => {});
+
+    assert.equal(await loadMonthTimetable(new Date(2024, 3, 15)), null);
+    assert.deepEqual(getStoredValue('timetables'), {});
+});
+
+test('once the clock reaches a new month, months that have passed leave the cache', async (t) => {
+    useTimetableApi(t, '2024-04-15T09:00:00Z', (url) => {
+        const [year, month] = url.match(/calendar\/(\d+)\/(\d+)/).slice(1).map(Number);
+        return calendarResponse(year, month);
+    });
+    await loadMonthTimetable(new Date(2024, 3, 15));
+
+    setClock(() => new Date('2024-05-15T09:00:00Z'));
+    await loadMonthTimetable(new Date(2024, 4, 15));
+
+    assert.deepEqual(Object.keys(getStoredValue('timetables')).map(key => key.split('|')[2]), ['2024-5']);
+});
@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    getDeviceTimeZone, getLocationDate, getZoneOffsetHours, getZoneOffsetMinutes, setTimeZone, timeToInstant
+} from '../timezone.js';
+
+test('prayer times are read in the location\'s zone, wherever the device is', () => {
+    const date = new Date(2024, 2, 15);
+
+    assert.equal(timeToInstant(date, '04:55', 'Asia/Dhaka').toISOString(), '2024-03-14T22:55:00.000Z');
+    assert.equal(timeToInstant(date, '04:55', 'Europe/London').toISOString(), '2024-03-15T04:55:00.000Z');
+});
+
+test('"24:00" is midnight at the start of the following day', () => {
+    assert.equal(timeToInstant(new Date(2024, 2, 15), '24:00', 'Asia/Dhaka').toISOString(), '2024-03-15T18:00:00.000Z');
+    assert.equal(timeToInstant(new Date(2024, 11, 31), '24:00', 'UTC').toISOString(), '2025-01-01T00:00:00.000Z');
+});
+
+test('a time skipped when clocks go forward moves past the change', () => {
+    const instant = timeToInstant(new Date(2024, 2, 10), '02:30', 'America/New_York');
+    assert.equal(instant.toISOString(), '2024-03-10T07:30:00.000Z');
+});
+
+test('a time repeated when clocks go back is its first occurrence', () => {
+    const instant = timeToInstant(new Date(2024, 10, 3), '01:30', 'America/New_York');
+    assert.equal(instant.toISOString(), '2024-11-03T05:30:00.000Z');
+});
+
+test('southern hemisphere clocks go forward in October', () => {
+    const instant = timeToInstant(new Date(2024, 9, 6), '02:30', 'Australia/Sydney');
+    assert.equal(instant.toISOString(), '2024-10-05T16:30:00.000Z');
+    assert.equal(timeToInstant(new Date(2024, 9, 6), '04:30', 'Australia/Sydney').toISOString(),
+        '2024-10-05T17:30:00.000Z');
+});
+
+test('a night that spans the change keeps its real length', () => {
+    // London, Saturday 26 October 2024: Isha in summer time, the next Fajr after clocks go back
+    const date = new Date(2024, 9, 26);
+    const isha = timeToInstant(date, '19:30', 'Europe/London');
+    const nextFajr = timeToInstant(date, '29:40', 'Europe/London');
+
+    assert.equal(isha.toISOString(), '2024-10-26T18:30:00.000Z');
+    assert.equal(nextFajr.toISOString(), '2024-10-27T05:40:00.000Z');
+    assert.equal((nextFajr - isha) / 60000, 11 * 60 + 10);
+    assert.equal(timeToInstant(date, '25:30', 'Europe/London').toISOString(), '2024-10-27T00:30:00.000Z');
+});
+
+test('the calculator takes the offset in force at noon on the day of a change', (t) => {
+    t.after(() => setTimeZone(getDeviceTimeZone()));
+    setTimeZone('Europe/London');
+
+    assert.equal(getZoneOffsetHours(new Date(2024, 2, 30)), 0);
+    assert.equal(getZoneOffsetHours(new Date(2024, 2, 31)), 1);
+    assert.equal(getZoneOffsetHours(new Date(2024, 9, 27)), 0);
+});
+
+test('the location date turns at local midnight on the day of a change', () => {
+    assert.equal(getLocationDate(new Date('2024-03-30T23:59:00Z'), 'Europe/London').getDate(), 30);
+    assert.equal(getLocationDate(new Date('2024-03-31T00:00:00Z'), 'Europe/London').getDate(), 31);
+    assert.equal(getLocationDate(new Date('2024-10-26T23:00:00Z'), 'Europe/London').getDate(), 27);
+});
+
+test('offsets follow daylight saving time', () => {
+    assert.equal(getZoneOffsetMinutes(new Date('2024-01-15T12:00:00Z'), 'America/New_York'), -300);
+    assert.equal(getZoneOffsetMinutes(new Date('2024-07-15T12:00:00Z'), 'America/New_York'), -240);
+    assert.equal(getZoneOffsetMinutes(new Date('2024-07-15T12:00:00Z'), 'Asia/Kolkata'), 330);
+});
+
+test('the location date can differ from the UTC date', () => {
+    const instant = new Date('2024-03-14T20:00:00Z');
+
+    assert.equal(getLocationDate(instant, 'Asia/Tokyo').getDate(), 15);
+    assert.equal(getLocationDate(instant, 'America/Los_Angeles').getDate(), 14);
+});
@@ -0,0 +1,96 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getPrayerDayTimes } from '../time.js';
+import {
+    getCurrentPrayer, getDayProgress, getDefaultPrayerDetails, getMissedPrayers, getNextPrayer, isPrayerDayOver,
+    isPrayerMissed
+} from '../tracking.js';
+import { at, friday, midsummer, osloNextTimes, osloTimes, osloZone, thursday, times, zone } from './fixtures.js';
+
+test('a prayer is missed only once its time has ended', () => {
+    assert.ok(!isPrayerMissed('Fajr', thursday, times, {}, at(thursday, '06:10'), zone));
+    assert.ok(isPrayerMissed('Fajr', thursday, times, {}, at(thursday, '06:11'), zone));
+});
+
+test('a prayed prayer is never missed', () => {
+    assert.ok(!isPrayerMissed('Fajr', thursday, times, { Fajr: true }, at(thursday, '23:00'), zone));
+});
+
+test('Isha is still due through the night and missed at the next Fajr', () => {
+    assert.deepEqual(getMissedPrayers(thursday, times, {}, at(friday, '04:54'), zone),
+        ['Fajr', 'Dhuhr', 'Asr', 'Maghrib']);
+    assert.deepEqual(getMissedPrayers(thursday, times, {}, at(friday, '04:55'), zone),
+        ['Fajr', 'Dhuhr', 'Asr', 'Maghrib', 'Isha']);
+});
+
+test('after midnight Isha is still the current prayer of the day before', () => {
+    assert.equal(getCurrentPrayer(thursday, times, at(friday, '02:00'), zone), 'Isha');
+    assert.equal(getNextPrayer(thursday, times, at(friday, '02:00'), zone), null);
+});
+
+test('with Isha ending at Islamic midnight, the rest of the night belongs to no prayer', () => {
+    const midnightTimes = { ...times, IshaEnd: '24:08' };
+
+    assert.ok(!isPrayerMissed('Isha', thursday, midnightTimes, {}, at(friday, '00:08'), zone));
+    assert.ok(isPrayerMissed('Isha', thursday, midnightTimes, {}, at(friday, '00:09'), zone));
+    assert.equal(getCurrentPrayer(thursday, midnightTimes, at(friday, '01:00'), zone), null);
+});
+
+test('in a high-latitude summer an Isha after midnight still follows Maghrib', () => {
+    const dayTimes = getPrayerDayTimes(osloTimes, osloNextTimes);
+    const osloAt = (day, time) => at(day, time, 2);
+    const nextDay = new Date(2024, 5, 22);
+
+    assert.ok(!isPrayerMissed('Maghrib', midsummer, dayTimes, {}, osloAt(midsummer, '10:00'), osloZone));
+    assert.equal(getCurrentPrayer(midsummer, dayTimes, osloAt(midsummer, '23:30'), osloZone), 'Maghrib');
+    assert.equal(getNextPrayer(midsummer, dayTimes, osloAt(midsummer, '23:30'), osloZone), 'Isha');
+    assert.equal(getCurrentPrayer(midsummer, dayTimes, osloAt(nextDay, '00:30'), osloZone), 'Isha');
+    assert.deepEqual(getMissedPrayers(midsummer, dayTimes, {}, osloAt(nextDay, '00:30'), osloZone),
+        ['Fajr', 'Jummah', 'Asr', 'Maghrib']);
+});
+
+test('a day\'s night is over at the next day\'s Fajr', () => {
+    assert.ok(!isPrayerDayOver(thursday, times, at(thursday, '23:59'), zone));
+    assert.ok(!isPrayerDayOver(thursday, times, at(friday, '04:53'), zone));
+    assert.ok(isPrayerDayOver(thursday, times, at(friday, '04:54'), zone));
+});
+
+test('day progress counts prayed, remaining and missed prayers', () => {
+    assert.deepEqual(getDayProgress(thursday, times, {}, at(thursday, '03:00'), zone),
+        { completed: 0, remaining: 5, missed: 0 });
+    assert.deepEqual(getDayProgress(thursday, times, { Fajr: true }, at(thursday, '13:00'), zone),
+        { completed: 1, remaining: 4, missed: 0 });
+    assert.deepEqual(getDayProgress(thursday, times, { Fajr: true }, at(thursday, '18:30'), zone),
+        { completed: 1, remaining: 2, missed: 2 });
+    assert.deepEqual(getDayProgress(thursday, times, { Fajr: true, Isha: true }, at(thursday, '20:00'), zone),
+        { completed: 2, remaining: 0, missed: 3 });
+});
+
+test('on Fridays Jummah is tracked in Dhuhr\'s time', () => {
+    assert.equal(getCurrentPrayer(friday, times, at(friday, '13:00'), zone), 'Jummah');
+    assert.equal(getNextPrayer(friday, times, at(friday, '07:00'), zone), 'Jummah');
+    assert.deepEqual(getMissedPrayers(friday, times, { Fajr: true }, at(friday, '18:30'), zone), ['Jummah', 'Asr']);
+    assert.deepEqual(getDayProgress(friday, times, { Fajr: true, Jummah: true }, at(friday, '18:30'), zone),
+        { completed: 2, remaining: 2, missed: 1 });
+});
+
+test('on Fridays Isha still lasts through the night', () => {
+    assert.equal(getCurrentPrayer(friday, times, at(friday, '21:00'), zone), 'Isha');
+    assert.ok(!isPrayerMissed('Isha', friday, times, {}, at(friday, '21:00'), zone));
+});
+
+test('there is no current prayer between sunrise and Dhuhr, and no next one after Isha starts', () => {
+    assert.equal(getCurrentPrayer(thursday, times, at(thursday, '09:00'), zone), null);
+    assert.equal(getNextPrayer(thursday, times, at(thursday, '09:00'), zone), 'Dhuhr');
+    assert.equal(getNextPrayer(thursday, times, at(thursday, '19:30'), zone), null);
+});
+
+test('marking a prayer after its time defaults to qada, and Jummah to congregation', () => {
+    assert.deepEqual(getDefaultPrayerDetails('Asr', thursday, times, at(thursday, '17:00'), zone),
+        { timing: 'on-time', congregation: null });
+    assert.deepEqual(getDefaultPrayerDetails('Fajr', thursday, times, at(thursday, '17:00'), zone),
+        { timing: 'qada', congregation: null });
+    assert.deepEqual(getDefaultPrayerDetails('Jummah', friday, times, at(friday, '13:00'), zone),
+        { timing: 'on-time', congregation: true });
+});
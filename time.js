@@ -0,0 +1,130 @@
+// Prayer days and time arithmetic
+// Pure functions of their arguments, shared by the page and the tests. Prayer
+// times are "HH:MM" strings for a location calendar date, as loaded by today.js.
+// A prayer day runs from its Fajr to the next day's Fajr, so times in the night
+// after it are written past "24:00", e.g. "28:41" for 04:41 the next morning.
+// The next day's Fajr and Sunrise are loaded as NextFajr and NextSunrise.
+
+import { now } from './env.js';
+import { getLocationDate, getZonedParts } from './timezone.js';
+
+// The prayer whose start ends each prayer's time
+const PRAYER_ENDS = {
+    Fajr: 'Sunrise',
+    Dhuhr: 'Asr',
+    Jummah: 'Asr',
+    Asr: 'Maghrib',
+    Maghrib: 'Isha'
+};
+
+// When Isha's time ends, keyed by the ishaEnd setting
+export const ishaEndRules = {
+    midnight: { name: 'Islamic midnight (halfway from sunset to sunrise)' },
+    halfNight: { name: 'Half the night (halfway from sunset to Fajr)' },
+    fajr: { name: 'True dawn (Fajr)' }
+};
+
+// Date keys follow the calendar at the selected location
+export function getTodayKey(instant = now()) {
+    return getDateKey(getLocationDate(instant));
+}
+
+export function getDateKey(date) {
+    return `${date.getDate()}-${date.getMonth() + 1}-${date.getFullYear()}`;
+}
+
+// The five daily prayers, with Jummah in place of Dhuhr on Fridays
+export function getPrayersForDate(date) {
+    return date.getDay() === 5 ?
+        ['Fajr', 'Jummah', 'Asr', 'Maghrib', 'Isha'] :
+        ['Fajr', 'Dhuhr', 'Asr', 'Maghrib', 'Isha'];
+}
+
+// Start of a prayer's time; Jummah is prayed in Dhuhr's time
+export function getStartTime(prayer, times) {
+    return times[prayer === 'Jummah' ? 'Dhuhr' : prayer];
+}
+
+// End of a prayer's time; Isha's follows the IshaEnd loaded with the times
+export function getEndTime(prayer, times) {
+    return prayer === 'Isha' ? times.IshaEnd || getIshaEnd(times) : times[PRAYER_ENDS[prayer]];
+}
+
+// End of Isha under an ishaEndRules rule, in the night after the day
+// Without the next day's times, the same day's Fajr and Sunrise stand in for them
+export function getIshaEnd(times, rule = 'fajr') {
+    const sunset = timeToMinutes(times.Maghrib);
+    const nextFajr = timeToMinutes(getNextDayTime(times.NextFajr || times.Fajr));
+    const nextSunrise = timeToMinutes(getNextDayTime(times.NextSunrise || times.Sunrise));
+
+    if (rule === 'midnight') {
+        return minutesToTime(Math.floor((sunset + nextSunrise) / 2));
+    }
+    if (rule === 'halfNight') {
+        return minutesToTime(Math.floor((sunset + nextFajr) / 2));
+    }
+    return minutesToTime(nextFajr);
+}
+
+// A prayer day's times with the next day's Fajr and Sunrise, and Isha and its
+// end in the night after the day. In high-latitude summers Isha can fall after
+// midnight, earlier on the clock than Maghrib, so it is moved past "24:00" too.
+export function getPrayerDayTimes(times, nextDayTimes, ishaEndRule = 'fajr') {
+    const dayTimes = { ...times, NextFajr: nextDayTimes.Fajr, NextSunrise: nextDayTimes.Sunrise };
+    dayTimes.Isha = getNightTime(dayTimes.Isha, dayTimes.Maghrib);
+    dayTimes.IshaEnd = getNightTime(getIshaEnd(dayTimes, ishaEndRule), dayTimes.Maghrib);
+    return dayTimes;
+}
+
+// A time of the night after the day, past "24:00" once it is earlier than Maghrib
+function getNightTime(time, maghrib) {
+    return timeToMinutes(time) < timeToMinutes(maghrib) ? getNextDayTime(time) : time;
+}
+
+// A next-day time as hours past the day's midnight, e.g. "04:41" to "28:41"
+export function getNextDayTime(time) {
+    return minutesToTime(timeToMinutes(time) + 24 * 60);
+}
+
+// When an instant falls on a prayer day's scale, past "24:00" in the night after
+// the date; anything before the date's midnight is "00:00"
+export function getPrayerDayTime(instant, date, timeZone) {
+    const { year, month, day, hour, minute } = getZonedParts(instant, timeZone);
+    const days = Math.round((Date.UTC(year, month - 1, day) -
+        Date.UTC(date.getFullYear(), date.getMonth(), date.getDate())) / (24 * 60 * 60000));
+    return minutesToTime(Math.max(0, days * 24 * 60 + hour * 60 + minute));
+}
+
+// A time past "24:00" as the clock reads it, e.g. "24:12" to "00:12"
+export function getClockTime(time) {
+    return minutesToTime(timeToMinutes(time) % (24 * 60));
+}
+
+export function timeToMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+export function minutesToTime(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Whether a clock time falls in a window, which may run past midnight
+export function isTimeInRange(current, start, end) {
+    const [time, from, to] = [current, start, end].map(value => timeToMinutes(value) % (24 * 60));
+    return from <= to ? time >= from && time <= to : time >= from || time <= to;
+}
+
+export function addMinutes(instant, minutes) {
+    return new Date(instant.getTime() + minutes * 60000);
+}
+
+export function subtractMinutes(time, minutes) {
+    return addMinutes(time, -minutes);
+}
+
+// Whole hours and minutes from one instant to another, counting a started minute
+export function getDuration(from, to) {
+    const diffMinutes = Math.max(0, Math.ceil((to - from) / 60000));
+    return { hours: Math.floor(diffMinutes / 60), minutes: diffMinutes % 60 };
+}
@@ -0,0 +1,304 @@
+// Monthly prayer timetables from the Aladhan calendar endpoint
+// Each month is cached in storage, keyed by location and calculation settings,
+// so the app keeps working offline and across midnight without another request.
+
+import { fetchResource, now } from './env.js';
+import { formatDateTime, prayerLabel, t } from './i18n.js';
+import { calculatePrayerTimes, calculationMethods } from './prayertimes.js';
+import { formatTime } from './render.js';
+import { getCalculationOptions, getCalculationQuery, settings } from './settings.js';
+import { getStoredValue, setStoredValue } from './storage.js';
+import { getClockTime, getDateKey, getPrayerDayTimes, getTodayKey } from './time.js';
+import { locationTimeZone, timeToInstant } from './timezone.js';
+import { currentLocation, getIslamicDate } from './today.js';
+
+// Cached months older than this are refreshed in the background
+const TIMETABLE_MAX_AGE = 24 * 60 * 60 * 1000;
+
+// Days before the end of the month at which the next month is fetched ahead
+const TIMETABLE_PREFETCH_DAYS = 3;
+
+function getTimetableKey(year, month) {
+    const lat = currentLocation.lat.toFixed(2);
+    const lon = currentLocation.lon.toFixed(2);
+    return `${lat},${lon}|${getCalculationQuery()}|${year}-${month}`;
+}
+
+// Get the timetable for the month containing `date`, from cache when possible
+export async function loadMonthTimetable(date) {
+    const year = date.getFullYear();
+    const month = date.getMonth() + 1;
+    const cached = getStoredValue('timetables')[getTimetableKey(year, month)];
+
+    if (cached) {
+        if (now().getTime() - cached.fetchedAt > TIMETABLE_MAX_AGE) {
+            fetchMonthTimetable(year, month)
+                .catch(error => console.log('Background timetable refresh failed:', error));
+        }
+        prefetchNextMonth(date);
+        return cached;
+    }
+
+    try {
+        const timetable = await fetchMonthTimetable(year, month);
+        prefetchNextMonth(date);
+        return timetable;
+    } catch (error) {
+        console.error('Error fetching prayer times:', error);
+        return null;
+    }
+}
+
+// A day's times from its cached month, else calculated locally, without going online
+export function getCachedDayTimes(date) {
+    const cached = getStoredValue('timetables')[getTimetableKey(date.getFullYear(), date.getMonth() + 1)];
+    const day = cached && cached.days[getDateKey(date)];
+
+    return day ?
+        { ...day.timings } :
+        calculatePrayerTimes(date, currentLocation.lat, currentLocation.lon, getCalculationOptions(date));
+}
+
+// Fetch a month from the API and cache it
+async function fetchMonthTimetable(year, month) {
+    const response = await fetchResource(
+        `https://api.aladhan.com/v1/calendar/${year}/${month}?latitude=${currentLocation.lat}&longitude=${currentLocation.lon}&${getCalculationQuery()}`
+    );
+    const data = await response.json();
+
+    if (data.code !== 200) {
+        throw new Error(`Aladhan API returned ${data.code}`);
+    }
+
+    const timetable = {
+        fetchedAt: now().getTime(),
+        timezone: data.data[0]?.meta.timezone,
+        days: {}
+    };
+
+    data.data.forEach(day => {
+        const [d, m, y] = day.date.gregorian.date.split('-').map(Number);
+
+        timetable.days[`${d}-${m}-${y}`] = {
+            timings: {
+                Fajr: stripTimezone(day.timings.Fajr),
+                Sunrise: stripTimezone(day.timings.Sunrise),
+                Dhuhr: stripTimezone(day.timings.Dhuhr),
+                Asr: stripTimezone(day.timings.Asr),
+                Maghrib: stripTimezone(day.timings.Maghrib),
+                Isha: stripTimezone(day.timings.Isha)
+            }
+        };
+    });
+
+    saveTimetable(getTimetableKey(year, month), timetable);
+    return timetable;
+}
+
+// Calendar timings carry the zone abbreviation, e.g. "05:03 (+06)"
+function stripTimezone(time) {
+    return time.split(' ')[0];
+}
+
+// Near the end of a month, cache the next one so the rollover works offline
+function prefetchNextMonth(date) {
+    const daysInMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+    if (daysInMonth - date.getDate() >= TIMETABLE_PREFETCH_DAYS) {
+        return;
+    }
+
+    const next = new Date(date.getFullYear(), date.getMonth() + 1, 1);
+    if (!getStoredValue('timetables')[getTimetableKey(next.getFullYear(), next.getMonth() + 1)]) {
+        fetchMonthTimetable(next.getFullYear(), next.getMonth() + 1)
+            .catch(error => console.log('Next month prefetch failed:', error));
+    }
+}
+
+// Store a month, dropping any cached month that has already passed
+function saveTimetable(key, timetable) {
+    const today = now();
+    const currentMonth = today.getFullYear() * 12 + today.getMonth();
+    const timetables = { ...getStoredValue('timetables') };
+
+    Object.keys(timetables).forEach(cachedKey => {
+        const [year, month] = cachedKey.split('|')[2].split('-').map(Number);
+        if (year * 12 + month - 1 < currentMonth) {
+            delete timetables[cachedKey];
+        }
+    });
+
+    timetables[key] = timetable;
+    setStoredValue('timetables', timetables);
+}
+
+// Timetable view and exports
+let timetableMonth = new Date(now().getFullYear(), now().getMonth(), 1);
+let timetableRows = [];
+
+const TIMETABLE_COLUMNS = ['Fajr', 'Sunrise', 'Dhuhr', 'Asr', 'Maghrib', 'Isha'];
+
+// Rows for every day of a month, calculated locally for days the API could not provide
+// Each day is loaded with the next day's times, so an Isha after midnight stays on its night
+async function getTimetableRows(monthDate) {
+    const year = monthDate.getFullYear();
+    const month = monthDate.getMonth();
+    const timetable = await loadMonthTimetable(monthDate);
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    const dayTimes = [];
+    const rows = [];
+
+    for (let day = 1; day <= daysInMonth; day++) {
+        const date = new Date(year, month, day);
+        const cached = timetable && timetable.days[getDateKey(date)];
+
+        dayTimes.push(cached ?
+            cached.timings :
+            calculatePrayerTimes(date, currentLocation.lat, currentLocation.lon, getCalculationOptions(date)));
+    }
+    dayTimes.push(getCachedDayTimes(new Date(year, month + 1, 1)));
+
+    for (let day = 1; day <= daysInMonth; day++) {
+        const date = new Date(year, month, day);
+
+        rows.push({
+            date,
+            hijri: getIslamicDate(date),
+            timings: getPrayerDayTimes(dayTimes[day - 1], dayTimes[day], settings.ishaEnd),
+            timezone: (timetable && timetable.timezone) || locationTimeZone
+        });
+    }
+
+    return rows;
+}
+
+export async function openTimetable() {
+    document.getElementById('timetablePanel').classList.add('show');
+    await displayTimetable();
+}
+
+export function closeTimetable() {
+    document.getElementById('timetablePanel').classList.remove('show');
+}
+
+export async function changeTimetableMonth(delta) {
+    timetableMonth = new Date(timetableMonth.getFullYear(), timetableMonth.getMonth() + delta, 1);
+    await displayTimetable();
+}
+
+async function displayTimetable() {
+    document.getElementById('timetableMonth').textContent =
+        formatDateTime(timetableMonth, { month: 'long', year: 'numeric' });
+    document.getElementById('timetableDetails').textContent =
+        `${document.getElementById('location').textContent} · ${calculationMethods[settings.method].name}`;
+
+    timetableRows = await getTimetableRows(timetableMonth);
+    const todayKey = getTodayKey();
+
+    let html = `
+                <tr>
+                    <th>${t('timetable.date')}</th>
+                    ${TIMETABLE_COLUMNS.map(name => `<th>${prayerLabel(name)}</th>`).join('')}
+                </tr>
+            `;
+
+    timetableRows.forEach(row => {
+        html += `
+                    <tr class="${getDateKey(row.date) === todayKey ? 'today' : ''}">
+                        <td>
+                            ${formatDateTime(row.date, { weekday: 'short', day: 'numeric' })}
+                            <small>${row.hijri}</small>
+                        </td>
+                        ${TIMETABLE_COLUMNS.map(name => `<td>${formatTime(row.timings[name])}</td>`).join('')}
+                    </tr>
+                `;
+    });
+
+    document.getElementById('timetableTable').innerHTML = html;
+}
+
+export function printTimetable() {
+    window.print();
+}
+
+export function downloadTimetableCsv() {
+    const lines = [['Date', 'Hijri', ...TIMETABLE_COLUMNS].join(',')];
+
+    timetableRows.forEach(row => {
+        lines.push([
+            formatIsoDate(row.date),
+            `"${row.hijri}"`,
+            ...TIMETABLE_COLUMNS.map(name => getClockTime(row.timings[name]))
+        ].join(','));
+    });
+
+    downloadFile(`salat-times-${getTimetableFileMonth()}.csv`, lines.join('\r\n'), 'text/csv');
+}
+
+export function downloadTimetableIcs() {
+    const location = document.getElementById('location').textContent;
+    const ics = getTimetableIcs(timetableRows, location, now());
+    downloadFile(`salat-times-${getTimetableFileMonth()}.ics`, ics, 'text/calendar');
+}
+
+// iCalendar file with one event per prayer
+// Times are written in UTC, which every calendar reads without a VTIMEZONE
+export function getTimetableIcs(rows, location, stamp) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Salat Tracker//Prayer Timetable//EN',
+        'CALSCALE:GREGORIAN'
+    ];
+
+    rows.forEach(row => {
+        const isFriday = row.date.getDay() === 5;
+        const day = formatIsoDate(row.date).replace(/-/g, '');
+
+        ['Fajr', 'Dhuhr', 'Asr', 'Maghrib', 'Isha'].forEach(prayer => {
+            const name = isFriday && prayer === 'Dhuhr' ? 'Jummah' : prayer;
+            const start = `DTSTART:${formatIcsInstant(timeToInstant(row.date, row.timings[prayer], row.timezone))}`;
+
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${day}-${prayer}@salat-tracker`,
+                `DTSTAMP:${formatIcsInstant(stamp)}`,
+                start,
+                'DURATION:PT15M',
+                `SUMMARY:${name}`,
+                `LOCATION:${escapeIcsText(location)}`,
+                'END:VEVENT'
+            );
+        });
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.join('\r\n');
+}
+
+// An instant as an iCalendar UTC date-time, e.g. "20240315T225500Z"
+function formatIcsInstant(instant) {
+    return instant.toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
+}
+
+function escapeIcsText(text) {
+    return text.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\n/g, '\\n');
+}
+
+export function formatIsoDate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function getTimetableFileMonth() {
+    return formatIsoDate(timetableMonth).slice(0, 7);
+}
+
+export function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
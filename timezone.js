@@ -0,0 +1,98 @@
+// Time zone handling for the selected location
+// Prayer times arrive as "HH:MM" wall-clock strings in the location's IANA time
+// zone. They are turned into real instants here so comparisons with the current
+// moment stay correct when the device is in another zone or across DST changes.
+
+import { now } from './env.js';
+
+export let locationTimeZone = getDeviceTimeZone();
+
+const zoneFormatters = {};
+
+export function getDeviceTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+// Follow the selected location's zone
+export function setTimeZone(timeZone) {
+    locationTimeZone = timeZone;
+}
+
+function getZoneFormatter(timeZone) {
+    if (!zoneFormatters[timeZone]) {
+        zoneFormatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        });
+    }
+    return zoneFormatters[timeZone];
+}
+
+// Calendar date and wall-clock time of an instant in a time zone
+export function getZonedParts(instant, timeZone = locationTimeZone) {
+    const parts = {};
+    getZoneFormatter(timeZone).formatToParts(instant).forEach(part => {
+        if (part.type !== 'literal') {
+            parts[part.type] = Number(part.value);
+        }
+    });
+
+    return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        hour: parts.hour % 24,
+        minute: parts.minute,
+        second: parts.second
+    };
+}
+
+// Minutes the zone is ahead of UTC at an instant
+export function getZoneOffsetMinutes(instant, timeZone = locationTimeZone) {
+    const parts = getZonedParts(instant, timeZone);
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((wallClock - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+}
+
+// Instant at which the zone's clock shows the given wall-clock time
+// A time repeated when clocks go back resolves to its first occurrence, and a
+// time skipped when clocks go forward to the moment as many minutes after the change
+export function zonedTimeToInstant(year, month, day, hour, minute, timeZone = locationTimeZone) {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+    const oneDay = 24 * 60 * 60000;
+    const offsetBefore = getZoneOffsetMinutes(new Date(wallClock - oneDay), timeZone);
+    const offsetAfter = getZoneOffsetMinutes(new Date(wallClock + oneDay), timeZone);
+
+    for (const offset of [offsetBefore, offsetAfter]) {
+        const instant = new Date(wallClock - offset * 60000);
+        if (getZoneOffsetMinutes(instant, timeZone) === offset) {
+            return instant;
+        }
+    }
+
+    return new Date(wallClock - offsetBefore * 60000);
+}
+
+// The location's calendar date as a local Date at midnight, for date keys and weekdays
+export function getLocationDate(instant = now(), timeZone = locationTimeZone) {
+    const parts = getZonedParts(instant, timeZone);
+    return new Date(parts.year, parts.month - 1, parts.day);
+}
+
+// Instant of an "HH:MM" time on a location calendar date
+// "24:00" is the following midnight
+export function timeToInstant(date, time, timeZone = locationTimeZone) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return zonedTimeToInstant(date.getFullYear(), date.getMonth() + 1, date.getDate(), hours, minutes, timeZone);
+}
+
+// UTC offset in hours at noon on a location calendar date, for the offline calculator
+export function getZoneOffsetHours(date) {
+    return getZoneOffsetMinutes(timeToInstant(date, '12:00')) / 60;
+}
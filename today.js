@@ -0,0 +1,220 @@
+// Today's location and prayer times
+// Finds the location, loads the day's times and applies the daily tracking
+// rules from tracking.js to the active profile's records. The loaded day is the
+// prayer day: after midnight it stays the previous day's until Fajr, so Isha
+// and the night prayers marked then are recorded on the day they belong to.
+
+import { fetchResource, now } from './env.js';
+import { getForbiddenSettings, getForbiddenWindows } from './forbidden.js';
+import { formatHijriDate, toHijriDate } from './hijri.js';
+import { displayHistoryCalendar } from './history.js';
+import { currentLanguage, t } from './i18n.js';
+import { getIqamahTimes, getMasjidSettings } from './masjid.js';
+import { getDefaultCity, getHomePlace, getLocationSettings, setLocationTimeZone } from './locations.js';
+import { scheduleReminders } from './notifications.js';
+import { calculatePrayerTimes } from './prayertimes.js';
+import { displayPrayerTimes, displayQadaLedger, updatePrayerStatus } from './render.js';
+import { getCalculationOptions, settings } from './settings.js';
+import {
+    addMissedPrayer, dateFromKey, getStoredValue, getTrackingData, removeTrackingDataBefore, setStoredValue
+} from './storage.js';
+import { getDateKey, getPrayerDayTime, getPrayerDayTimes, getStartTime, getTodayKey } from './time.js';
+import { loadMonthTimetable } from './timetable.js';
+import {
+    getDeviceTimeZone, getLocationDate, locationTimeZone, setTimeZone, timeToInstant
+} from './timezone.js';
+import { getMissedPrayers } from './tracking.js';
+
+export let currentLocation = { lat: 21.4225, lon: 39.8262 }; // Replaced by getLocation(), Makkah until then
+export let prayerTimes = {};
+export let prayerTimesDateKey = null; // Prayer day the loaded prayer times belong to
+export let islamicDate = ''; // Cache Islamic date to prevent constant changes
+
+// Get user location: a chosen place, else the device position, else home
+export async function getLocation() {
+    const { selected } = getLocationSettings();
+    if (selected) {
+        currentLocation.lat = selected.lat;
+        currentLocation.lon = selected.lon;
+        setTimeZone(selected.timeZone || getDeviceTimeZone());
+        document.getElementById('location').textContent = selected.name;
+        return;
+    }
+
+    setTimeZone(getDeviceTimeZone());
+
+    return new Promise((resolve) => {
+        if (navigator.geolocation) {
+            navigator.geolocation.getCurrentPosition(
+                (position) => {
+                    currentLocation.lat = position.coords.latitude;
+                    currentLocation.lon = position.coords.longitude;
+                    updateLocationDisplay();
+                    resolve();
+                },
+                (error) => {
+                    console.log('Using home or default location');
+                    useFallbackLocation();
+                    updateLocationDisplay();
+                    resolve();
+                }
+            );
+        } else {
+            useFallbackLocation();
+            updateLocationDisplay();
+            resolve();
+        }
+    });
+}
+
+// Use the saved home place when the device position is unavailable,
+// else a bundled city in the device's time zone
+function useFallbackLocation() {
+    const place = getHomePlace() || getDefaultCity();
+    currentLocation.lat = place.lat;
+    currentLocation.lon = place.lon;
+}
+
+// Update location display
+async function updateLocationDisplay() {
+    try {
+        const response = await fetchResource(
+            `https://nominatim.openstreetmap.org/reverse?lat=${currentLocation.lat}&lon=${currentLocation.lon}` +
+            `&format=json&accept-language=${currentLanguage}`
+        );
+        const data = await response.json();
+        const city = data.address.city || data.address.town || data.address.village || t('location.unknown');
+        const country = data.address.country || '';
+        document.getElementById('location').textContent = `${city}, ${country}`;
+    } catch (error) {
+        // Show the coordinates rather than guess a place name
+        document.getElementById('location').textContent =
+            `${currentLocation.lat.toFixed(2)}°, ${currentLocation.lon.toFixed(2)}°`;
+    }
+}
+
+// Load the current prayer day's times, with the next day's Fajr and Sunrise
+export async function fetchPrayerTimes() {
+    const today = getLocationDate();
+    const timetable = await loadMonthTimetable(today);
+
+    // The API reports the location's time zone, which may change which day it is there
+    if (timetable && timetable.timezone && timetable.timezone !== locationTimeZone) {
+        setLocationTimeZone(timetable.timezone);
+        await fetchPrayerTimes();
+        return;
+    }
+
+    const todayTimes = await getDayTimes(today);
+
+    // Before Fajr the night still belongs to yesterday
+    if (now() < timeToInstant(today, todayTimes.Fajr)) {
+        const yesterday = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+        usePrayerTimes(yesterday, await getDayTimes(yesterday), todayTimes);
+    } else {
+        const tomorrow = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+        usePrayerTimes(today, todayTimes, await getDayTimes(tomorrow));
+    }
+}
+
+// A day's times from the cached monthly timetable, fetching it if needed
+async function getDayTimes(date) {
+    const timetable = await loadMonthTimetable(date);
+    const day = timetable && timetable.days[getDateKey(date)];
+
+    // Calculate times locally as fallback
+    return day ?
+        { ...day.timings } :
+        calculatePrayerTimes(date, currentLocation.lat, currentLocation.lon, getCalculationOptions(date));
+}
+
+// Show a day's times and apply the tracking rules to them
+function usePrayerTimes(date, times, nextDayTimes) {
+    prayerTimes = getPrayerDayTimes(times, nextDayTimes, settings.ishaEnd);
+    prayerTimesDateKey = getDateKey(date);
+    islamicDate = getIslamicDate(date);
+
+    displayPrayerTimes();
+    updatePrayerStatus();
+    checkForMissedPrayers();
+    scheduleReminders();
+}
+
+// Calendar date of the loaded prayer times
+export function getPrayerDate() {
+    return dateFromKey(prayerTimesDateKey);
+}
+
+// Instant of a loaded "HH:MM" prayer time on the day the times belong to
+export function getPrayerInstant(time) {
+    return timeToInstant(getPrayerDate(), time);
+}
+
+// Today's forbidden windows under the current settings, with those after Fajr
+// and Asr from when they were marked as prayed
+export function getTodayForbiddenWindows() {
+    const isFriday = getPrayerDate().getDay() === 5;
+    const completed = getTrackingData().completedPrayers[prayerTimesDateKey] || {};
+    const prayed = {};
+    ['Fajr', 'Asr'].filter(prayer => completed[prayer]).forEach(prayer => {
+        prayed[prayer] = getPrayedTime(prayer, completed[prayer]);
+    });
+
+    return getForbiddenWindows(
+        prayerTimes, getForbiddenSettings(), settings.school, settings.offsets, isFriday, prayed
+    );
+}
+
+// Time a prayer was marked as prayed on the prayer day's scale, or its start
+// when marked after the fact
+function getPrayedTime(prayer, record) {
+    if (!record.at) {
+        return getStartTime(prayer, prayerTimes);
+    }
+    return getPrayerDayTime(new Date(record.at), getPrayerDate());
+}
+
+// The loaded day's iqamah times at the masjid, or null without a schedule
+export function getTodayIqamahTimes() {
+    return getIqamahTimes(getMasjidSettings(), getPrayerDate(), prayerTimes);
+}
+
+// Record the loaded day's prayers whose time ended without being marked as prayed
+export function checkForMissedPrayers() {
+    const completed = getTrackingData().completedPrayers[prayerTimesDateKey] || {};
+
+    getMissedPrayers(getPrayerDate(), prayerTimes, completed, now()).forEach(prayer => {
+        addMissedPrayer(prayerTimesDateKey, prayer, getStartTime(prayer, prayerTimes));
+    });
+
+    displayQadaLedger();
+    displayHistoryCalendar();
+}
+
+// Check and perform daily reset
+export function checkDailyReset() {
+    const lastReset = getStoredValue('lastReset');
+    const today = getTodayKey();
+
+    if (lastReset !== today) {
+        // It's a new day, but don't delete old data
+        setStoredValue('lastReset', today);
+
+        // Clean up old data (keep only the last year)
+        cleanOldData();
+    }
+}
+
+// Clean up old data
+function cleanOldData() {
+    const oneYearAgo = new Date(now());
+    oneYearAgo.setFullYear(oneYearAgo.getFullYear() - 1);
+
+    // Clean completed and missed prayers
+    removeTrackingDataBefore(oneYearAgo);
+}
+
+// Islamic date of a calendar date under the selected Hijri calendar and adjustment
+export function getIslamicDate(date) {
+    return formatHijriDate(toHijriDate(date, settings.hijriCalendar, settings.hijriAdjustment));
+}
@@ -0,0 +1,57 @@
+// Prayer tracking rules
+// Which of a day's prayers are prayed, still due or missed at a given moment.
+// The day's times, its records and the moment are passed in, so the rules run
+// the same against the real clock on the page and a fake one in the tests.
+
+import { getEndTime, getNextDayTime, getPrayersForDate, getStartTime } from './time.js';
+import { timeToInstant } from './timezone.js';
+
+// A prayer is missed once its time has ended without it being marked as prayed
+export function isPrayerMissed(prayer, date, times, completed, now, timeZone) {
+    return !completed[prayer] && now > timeToInstant(date, getEndTime(prayer, times), timeZone);
+}
+
+// Prayers of a day that are missed at `now`, in order
+export function getMissedPrayers(date, times, completed, now, timeZone) {
+    return getPrayersForDate(date).filter(prayer => isPrayerMissed(prayer, date, times, completed, now, timeZone));
+}
+
+// Counts for a day: prayed, still to pray, and missed
+export function getDayProgress(date, times, completed, now, timeZone) {
+    const prayers = getPrayersForDate(date);
+    const done = prayers.filter(prayer => completed[prayer]).length;
+    const missed = getMissedPrayers(date, times, completed, now, timeZone).length;
+
+    return { completed: done, remaining: prayers.length - done - missed, missed };
+}
+
+// The prayer whose time contains `now`, or null between Sunrise and Dhuhr and,
+// when Isha ends before dawn, between Isha's end and the next Fajr
+export function getCurrentPrayer(date, times, now, timeZone) {
+    return getPrayersForDate(date).find(prayer =>
+        now >= timeToInstant(date, getStartTime(prayer, times), timeZone) &&
+        now <= timeToInstant(date, getEndTime(prayer, times), timeZone)
+    ) || null;
+}
+
+// The next prayer to start after `now`, or null once Isha has started
+export function getNextPrayer(date, times, now, timeZone) {
+    return getPrayersForDate(date).find(prayer =>
+        now < timeToInstant(date, getStartTime(prayer, times), timeZone)
+    ) || null;
+}
+
+// Whether the day's night is over, at the next day's Fajr; until then prayers
+// marked after midnight still belong to the day
+export function isPrayerDayOver(date, times, now, timeZone) {
+    return now >= timeToInstant(date, getNextDayTime(times.NextFajr || times.Fajr), timeZone);
+}
+
+// Details guessed when marking a prayer: prayed late means qada, Jummah is in congregation
+export function getDefaultPrayerDetails(prayer, date, times, now, timeZone) {
+    const ended = now > timeToInstant(date, getEndTime(prayer, times), timeZone);
+    return {
+        timing: ended ? 'qada' : 'on-time',
+        congregation: prayer === 'Jummah' ? true : null
+    };
+}
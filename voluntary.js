@@ -0,0 +1,73 @@
+// Sunnah and voluntary prayers
+// Tracked separately from the fard prayers and shown as extra checkboxes on the
+// card of the prayer they belong to. Jummah shares the Dhuhr sunnah.
+
+import { t } from './i18n.js';
+import { formatTime } from './render.js';
+import { getTrackingData, setVoluntaryCompleted } from './storage.js';
+import { getEndTime, getNextDayTime, minutesToTime, timeToMinutes } from './time.js';
+import { getTodayForbiddenWindows, prayerTimes, prayerTimesDateKey } from './today.js';
+
+// Names are translated under voluntary.<id>
+// Tahajjud and Witr are prayed in the night after the day, so they go on the Isha card
+const voluntaryPrayerNames = {
+    'Fajr-before': { card: 'Fajr', rakahs: 2 },
+    Duha: { card: 'Dhuhr', rakahs: 2 },
+    'Dhuhr-before': { card: 'Dhuhr', rakahs: 4 },
+    'Dhuhr-after': { card: 'Dhuhr', rakahs: 2 },
+    'Maghrib-after': { card: 'Maghrib', rakahs: 2 },
+    'Isha-after': { card: 'Isha', rakahs: 2 },
+    Tahajjud: { card: 'Isha', rakahs: 8 },
+    Witr: { card: 'Isha', rakahs: 3 }
+};
+
+export const VOLUNTARY_IDS = Object.keys(voluntaryPrayerNames);
+
+// "HH:MM" start and end of a voluntary prayer's window on a day
+function getVoluntaryWindow(id, times, forbidden) {
+    const card = voluntaryPrayerNames[id].card;
+
+    if (id === 'Tahajjud') {
+        // The last third of the night before the next day's Fajr
+        const nextFajr = getNextDayTime(times.NextFajr);
+        const night = timeToMinutes(nextFajr) - timeToMinutes(times.Maghrib);
+        return { start: minutesToTime(timeToMinutes(nextFajr) - Math.round(night / 3)), end: nextFajr };
+    }
+    if (id === 'Duha') {
+        // From when the sun has risen until the zenith
+        const sunrise = forbidden.find(period => period.id === 'sunrise');
+        const zenith = forbidden.find(period => period.id === 'zenith');
+        return { start: sunrise ? sunrise.end : times.Sunrise, end: zenith ? zenith.start : times.Dhuhr };
+    }
+    if (id === 'Witr') {
+        // Any time after Isha until the next day's Fajr
+        return { start: times.Isha, end: getNextDayTime(times.NextFajr) };
+    }
+    return { start: times[card], end: getEndTime(card, times) };
+}
+
+// Voluntary checkboxes for a prayer card
+export function getVoluntaryChecks(prayer, dateKey) {
+    const card = prayer === 'Jummah' ? 'Dhuhr' : prayer;
+    const done = getTrackingData().voluntaryPrayers[dateKey] || {};
+    const forbidden = getTodayForbiddenWindows();
+
+    const checks = VOLUNTARY_IDS.filter(id => voluntaryPrayerNames[id].card === card).map(id => {
+        const { rakahs } = voluntaryPrayerNames[id];
+        const range = getVoluntaryWindow(id, prayerTimes, forbidden);
+        return `
+                            <label class="voluntary-check">
+                                <input type="checkbox" id="check-${id}" ${done[id] ? 'checked' : ''}
+                                    onchange="toggleVoluntary('${id}')">
+                                <span>${t('voluntary.check', { name: t(`voluntary.${id}`), rakahs })}</span>
+                                <small>${formatTime(range.start)} – ${formatTime(range.end)}</small>
+                            </label>
+                        `;
+    });
+
+    return `<div class="voluntary-checks">${checks.join('')}</div>`;
+}
+
+export function toggleVoluntary(id) {
+    setVoluntaryCompleted(prayerTimesDateKey, id, document.getElementById(`check-${id}`).checked);
+}